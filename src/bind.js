@@ -2,13 +2,18 @@
 
 import { effect } from "./reactive.js";
 import { options, select } from "./utils.js";
+import { toMarkup, unsafeHTML } from "./sanitize.js";
 import { Q } from "./dom.js";
 
 function getElement(target) {
   return typeof target === "string" ? Q(target) : target;
 }
 
-export function bind(target, prop, sig) {
+// Every bind*() takes a trailing `opts` object whose `scheduler` is handed to
+// effect(); use `{ scheduler: "frame" }` to coalesce fast-changing signals
+// into one DOM write per animation frame.
+
+export function bind(target, prop, sig, opts) {
   const el = getElement(target);
 
   return effect(() => {
@@ -35,47 +40,57 @@ export function bind(target, prop, sig) {
       default:
         el.elt[prop] = val;
     }
-  });
+  }, opts);
 }
 
-export function bindText(target, sig) {
+export function bindText(target, sig, opts) {
   const el = getElement(target);
 
   return effect(() => {
     const val = sig.val;
     el.text(val);
-  });
+  }, opts);
 }
 
-export function bindHtml(target, sig) {
+export function bindHtml(target, sig, opts) {
   const el = getElement(target);
 
   return effect(() => {
     const val = sig.val;
     el.html(val);
-  });
+  }, opts);
 }
 
-export function bindValue(target, sig) {
+export function bindValue(target, sig, opts) {
   const el = getElement(target);
 
   return effect(() => {
     const val = sig.val;
     el.val(val);
-  });
+  }, opts);
 }
 
-export function bindList(target, sig, template, empty = "") {
+export function bindList(target, sig, template, empty = "", opts) {
   const el = getElement(target);
 
   return effect(() => {
     const items = sig.val;
-    el.html(items?.length ? items.map(template).join("") : empty);
-  });
+    // Each row is escaped/sanitized on its own, so rows that are
+    // unsafeHTML() keep their markup when joined.
+    const html = items?.length
+      ? items.map(template).map(toMarkup).join("")
+      : toMarkup(empty);
+    el.html(unsafeHTML(html));
+  }, opts);
 }
 
 export function bindOptions(target, sig, opts = {}) {
-  const { value = "id", label = "name", placeholder = "Select ..." } = opts;
+  const {
+    value = "id",
+    label = "name",
+    placeholder = "Select ...",
+    scheduler,
+  } = opts;
 
   const el = getElement(target);
 
@@ -83,20 +98,20 @@ export function bindOptions(target, sig, opts = {}) {
     const items = sig.val || [];
 
     el.html(select(items, value, label, placeholder));
-  });
+  }, { scheduler });
 }
 
-export function bindClass(target, className, sig) {
+export function bindClass(target, className, sig, opts) {
   const el = getElement(target);
 
   return effect(() => {
     sig.val ? el.addClass(className) : el.removeClass(className);
-  });
+  }, opts);
 }
 
-export function bindAttr(target, attr, sig) {
+export function bindAttr(target, attr, sig, opts) {
   const el = getElement(target);
   return effect(() => {
     el.elt.setAttribute(attr, sig.val);
-  });
+  }, opts);
 }
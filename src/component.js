@@ -1,5 +1,7 @@
 "use strict";
 
+import { createRoot } from "./reactive.js";
+
 /**
  * Mount a function component into a target element.
  *
@@ -47,6 +49,15 @@
  * inst.destroy();
  */
 export function mount(componentFn, target, props = {}) {
+  // Everything the component creates — its own effects and computeds, and
+  // those from .classIf(), .prop() and .bindList() rows — belongs to this
+  // root and is disposed with it on destroy().
+  return createRoot((disposeRoot) =>
+    createInstance(componentFn, target, props, disposeRoot),
+  );
+}
+
+function createInstance(componentFn, target, props, disposeRoot) {
   const listeners = new Map();
   const mountCallbacks = [];
   const cleanupFns = [];
@@ -123,6 +134,7 @@ export function mount(componentFn, target, props = {}) {
      */
     destroy() {
       cleanupFns.forEach((fn) => fn());
+      disposeRoot();
       instance.el?.elt?.remove();
       instance.el = null;
       listeners.clear();
@@ -1,5 +1,7 @@
 "use strict";
 
+import { setHTML } from "./sanitize.js";
+
 const hook = (element) => ({
   on: (event, callback) => element?.addEventListener(event, callback),
   off: (event, callback) => element?.removeEventListener(event, callback),
@@ -14,7 +16,7 @@ const text = (element, value) => {
 
 const html = (element, value) => {
   if (!element) return undefined;
-  if (value != null) element.innerHTML = value;
+  if (value != null) setHTML(element, value);
   return element.innerHTML;
 };
 
@@ -47,6 +49,84 @@ export const onWindowLoad = (callback) => {
   window.onload = callback;
 };
 
+// Modifiers that aren't key filters.
+const MODIFIERS = new Set([
+  "prevent", "stop", "self", "once", "passive", "capture", "outside",
+]);
+
+const KEY_ALIASES = {
+  esc: "escape",
+  space: " ",
+  up: "arrowup",
+  down: "arrowdown",
+  left: "arrowleft",
+  right: "arrowright",
+};
+
+const SYSTEM_KEYS = ["ctrl", "alt", "shift", "meta"];
+
+// `.ctrl`/`.alt`/`.shift`/`.meta` check the modifier flag; anything else
+// is compared with `event.key`, case-insensitively.
+const matchesKey = (event, name) =>
+  SYSTEM_KEYS.includes(name)
+    ? event[`${name}Key`]
+    : String(event.key).toLowerCase() === (KEY_ALIASES[name] ?? name);
+
+/**
+ * addEventListener with modifiers. `event` may carry them after dots:
+ *
+ * - `.prevent` / `.stop` call preventDefault() / stopPropagation()
+ * - `.self` only fires when the event target is the element itself
+ * - `.once`, `.passive`, `.capture` set the listener option
+ * - `.outside` fires for events outside the element (click-outside)
+ * - key filters: `.enter`, `.esc`, `.space`, `.tab`, `.up`, `.down`,
+ *   `.left`, `.right`, `.ctrl`, `.alt`, `.shift`, `.meta` or any other
+ *   `event.key` in lower case (`.k`, `.delete`)
+ *
+ * `handler` may be a function or an object with `handleEvent`. `once`
+ * counts only calls that pass the filters.
+ *
+ * @param {EventTarget} el
+ * @param {string}      event   - e.g. "click.prevent", "keydown.ctrl.enter"
+ * @param {Function|{handleEvent: Function}} handler
+ * @param {{capture?: boolean, passive?: boolean, once?: boolean}} [options]
+ * @returns {Function} removes the listener
+ *
+ * @example
+ * const off = listen(menu, "click.outside", close);
+ */
+export const listen = (el, event, handler, options = {}) => {
+  const [type, ...mods] = event.split(".");
+  const has = (name) => mods.includes(name);
+  const keys = mods.filter((name) => !MODIFIERS.has(name));
+  const once = Boolean(options.once || has("once"));
+  const outside = has("outside");
+
+  // Outside listeners sit on the document in the capture phase, so the
+  // click that opens a menu has already passed it and can't close it.
+  // (Not el.ownerDocument: template clones aren't adopted until inserted.)
+  const target = outside ? document : el;
+  const opts = {
+    capture: outside || Boolean(options.capture || has("capture")),
+    passive: Boolean(options.passive || has("passive")),
+  };
+
+  const listener = (e) => {
+    if (outside && (!el.isConnected || el.contains(e.target))) return;
+    if (has("self") && e.target !== el) return;
+    if (!keys.every((name) => matchesKey(e, name))) return;
+    if (has("prevent")) e.preventDefault();
+    if (has("stop")) e.stopPropagation();
+    if (once) off();
+    if (typeof handler === "function") handler.call(el, e);
+    else handler.handleEvent(e);
+  };
+  const off = () => target.removeEventListener(type, listener, opts);
+
+  target.addEventListener(type, listener, opts);
+  return off;
+};
+
 export const Q = (input) => {
   const selectedElement =
     typeof input === "string" ? document.querySelector(input) : input;
@@ -213,6 +293,7 @@ const DOM = {
   parseHtml,
   onPageLoad,
   onWindowLoad,
+  listen,
   ping: () => console.log("PONG!"),
   description: "DOM is for dom manipulation",
 };
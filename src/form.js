@@ -299,7 +299,7 @@ class FormErrorRenderer {
     const targetContainer = this.customContainers[fieldName];
 
     if (targetContainer) {
-      targetContainer.innerHTML = "";
+      targetContainer.replaceChildren();
       targetContainer.appendChild(errorSpan);
     } else if (this.options.insertAfterField) {
       const form = document.getElementById(this.formId);
@@ -320,7 +320,7 @@ class FormErrorRenderer {
 
     for (const key in this.customContainers) {
       if (this.customContainers[key]) {
-        this.customContainers[key].innerHTML = "";
+        this.customContainers[key].replaceChildren();
       }
     }
   }
@@ -27,6 +27,7 @@ import {
   parseHtml,
   onPageLoad,
   onWindowLoad,
+  listen,
 } from "./dom.js";
 import {
   get,
@@ -51,15 +52,50 @@ import {
 } from "./utils.js";
 import { cache } from "./cache.js";
 import { queryClient, createQuery } from "./query.js";
-import { signal, effect, computed, batch, when } from "./reactive.js";
-import { tag, createPresets } from "./ui.js";
+import {
+  signal,
+  effect,
+  computed,
+  batch,
+  when,
+  untrack,
+  onCleanup,
+  createRoot,
+  store,
+  resource,
+  persistedSignal,
+  inspect,
+  onWrite,
+  watch,
+  debounced,
+  throttled,
+  previous,
+  history,
+  reactiveMap,
+  reactiveSet,
+  fromObservable,
+  fromEventTarget,
+  fromPromise,
+  until,
+} from "./reactive.js";
+import { sanitize, unsafeHTML, configureHTML } from "./sanitize.js";
+import { tag, svgTag, createPresets } from "./ui.js";
 import { mount } from "./component.js";
 
 export { EVT, V, DOM, HTTP, WS };
 export { createSocket };
 export { get, post, put, patch, del, options, raw, upload, download, request };
 export { useFormHandler, FormHandler, FormErrorRenderer, FormEvents };
-export { Q, all, make, makeId, parseHtml, onPageLoad, onWindowLoad };
+export {
+  Q,
+  all,
+  make,
+  makeId,
+  parseHtml,
+  onPageLoad,
+  onWindowLoad,
+  listen,
+};
 export {
   redirect,
   isArray,
@@ -71,7 +107,32 @@ export {
 };
 export { cache };
 export { queryClient, createQuery };
-export { signal, effect, computed, batch, when };
+export {
+  signal,
+  effect,
+  computed,
+  batch,
+  when,
+  untrack,
+  onCleanup,
+  createRoot,
+  store,
+  resource,
+  persistedSignal,
+  inspect,
+  onWrite,
+  watch,
+  debounced,
+  throttled,
+  previous,
+  history,
+  reactiveMap,
+  reactiveSet,
+  fromObservable,
+  fromEventTarget,
+  fromPromise,
+  until,
+};
 export {
   bind,
   bindText,
@@ -82,6 +143,24 @@ export {
   bindClass,
   bindAttr,
 };
-export { tag, createPresets };
+export { sanitize, unsafeHTML, configureHTML };
+export { tag, svgTag, createPresets };
 export { mount };
-export { html, render } from "./template.js";
+export {
+  html,
+  svg,
+  mathml,
+  render,
+  repeat,
+  directive,
+  classMap,
+  styleMap,
+  ref,
+  guard,
+  until as untilResolved,
+  renderToString,
+  hydrate,
+  model,
+  spread,
+  suspense,
+} from "./template.js";
@@ -1,6 +1,7 @@
 import EVT from "./evt.js";
 import { sleep } from "./utils.js";
 import { signal } from "./reactive.js";
+import { setHTML, isUnsafeHTML } from "./sanitize.js";
 
 export const createQuery = (options = {}) => {
   const {
@@ -350,7 +351,7 @@ export const createQuery = (options = {}) => {
 
     const renderData = (data) => {
       const html = render(data);
-      if (typeof html === "string") el.innerHTML = html;
+      if (typeof html === "string" || isUnsafeHTML(html)) setHTML(el, html);
     };
 
     EVT.sub(`query:${key}:success`, ({ data }) => renderData(data));
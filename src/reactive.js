@@ -1,66 +1,1635 @@
-let _tracking = null;
-let _batching = null;
-let _pending = new Set();
+// Every signal, computed and effect is a node in one dependency graph.
+// Writes push a "maybe stale" mark down the graph and queue the effects
+// they reach; values are pulled back up lazily, so a computed only
+// recomputes when something reads it and one of its sources really changed.
+const SIGNAL = 0;
+const COMPUTED = 1;
+const EFFECT = 2;
+const ROOT = 3;
+const KIND_NAMES = ["signal", "computed", "effect", "root"];
 
-export function signal(initial) {
-  let _val = initial;
-  const subs = new Set();
+const CLEAN = 0;
+const CHECK = 1;
+const DIRTY = 2;
+
+let _observer = null;
+let _owner = null;
+let _batchDepth = 0;
+const _queue = new Set();
+// Deferred effects waiting for their scheduler, keyed by scheduler function.
+const _deferred = new Map();
+
+// Debugging: public handles (signal objects, effect stop functions) map back
+// to their nodes, and write hooks see every committed value.
+let _nextId = 0;
+const _handles = new WeakMap();
+const _writeHooks = new Set();
+
+// Symbol.observable is a proposal; libraries such as RxJS fall back to the
+// "@@observable" string key when it is not polyfilled.
+const $$observable =
+  (typeof Symbol === "function" && Symbol.observable) || "@@observable";
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+const isObject = (value) => value !== null && typeof value === "object";
+
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!isObject(a) || !isObject(b)) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((k) => hasOwn(b, k) && Object.is(a[k], b[k]));
+}
+
+function deepEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (!isObject(a) || !isObject(b)) return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((k) => hasOwn(b, k) && deepEqual(a[k], b[k]));
+}
+
+const SCHEDULERS = {
+  sync: null,
+  microtask: (run) => queueMicrotask(run),
+  frame: (run) =>
+    typeof requestAnimationFrame === "function"
+      ? requestAnimationFrame(run)
+      : setTimeout(run, 16),
+};
+
+// `scheduler` is a preset name or a function that is handed a callback to
+// call later, e.g. (run) => setTimeout(run, 100).
+function resolveScheduler(scheduler = "sync") {
+  if (typeof scheduler === "function") return scheduler;
+  if (hasOwn(SCHEDULERS, scheduler)) return SCHEDULERS[scheduler];
+  throw new TypeError(`Unknown scheduler "${scheduler}"`);
+}
+
+const EQUALS = {
+  strict: (a, b) => a === b,
+  shallow: shallowEqual,
+  deep: deepEqual,
+};
+
+// `equals` is a preset name, a comparator, or false to notify on every write.
+function resolveEquals(equals = "strict") {
+  if (equals === false) return () => false;
+  if (typeof equals === "function") return equals;
+  if (hasOwn(EQUALS, equals)) return EQUALS[equals];
+  throw new TypeError(`Unknown equals preset "${equals}"`);
+}
+
+function createNode(kind, fn, value, equals = EQUALS.strict) {
+  return {
+    id: ++_nextId,
+    name: undefined,
+    handle: undefined,
+    runs: 0,
+    kind,
+    fn,
+    value,
+    equals,
+    // A computed has nothing to compare against until its first run.
+    hasValue: kind === SIGNAL,
+    scheduler: null,
+    due: false,
+    state: kind === SIGNAL ? CLEAN : DIRTY,
+    sources: new Set(),
+    observers: new Set(),
+    running: false,
+    disposed: false,
+    owner: null,
+    owned: null,
+    cleanups: null,
+  };
+}
+
+// Effects and computeds belong to whichever effect or root created them and
+// are disposed along with it.
+function adopt(node) {
+  if (!_owner) return node;
+  node.owner = _owner;
+  if (!_owner.owned) _owner.owned = new Set();
+  _owner.owned.add(node);
+  return node;
+}
+
+function track(node) {
+  if (!_observer || _observer.disposed) return;
+  node.observers.add(_observer);
+  _observer.sources.add(node);
+}
+
+function unlink(node) {
+  for (const src of node.sources) src.observers.delete(node);
+  node.sources.clear();
+}
+
+// Dispose owned children and run registered cleanups, ahead of a re-run or a
+// dispose.
+function cleanup(node) {
+  const { owned, cleanups } = node;
+  node.owned = null;
+  node.cleanups = null;
+  if (owned) for (const child of owned) dispose(child);
+  if (cleanups) for (const fn of cleanups) fn();
+}
+
+function dispose(node) {
+  if (node.disposed) return;
+  node.disposed = true;
+  cleanup(node);
+  unlink(node);
+  _queue.delete(node);
+  node.owner?.owned?.delete(node);
+}
+
+// Mark a node and everything downstream of it. Direct observers of a
+// changed value are DIRTY; nodes further down are only CHECK until one of
+// their sources proves it actually changed.
+function stale(node, state) {
+  if (node.state >= state) return;
+  node.state = state;
+  if (node.kind === EFFECT) _queue.add(node);
+  for (const obs of node.observers) stale(obs, CHECK);
+}
+
+function write(node, value) {
+  if (node.equals(node.value, value)) return;
+  const prev = node.value;
+  node.value = value;
+  emitWrite(node, prev, value);
+  notify(node);
+}
+
+function emitWrite(node, prev, next) {
+  if (!_writeHooks.size) return;
+  const info = { ...describe(node), prev, next };
+  for (const hook of _writeHooks) hook(info);
+}
+
+function describe(node) {
+  return {
+    name: node.name ?? `${KIND_NAMES[node.kind]}#${node.id}`,
+    kind: KIND_NAMES[node.kind],
+    target: node.handle,
+  };
+}
+
+// Give a node its debug name and make its public handle inspectable.
+function expose(node, handle, name) {
+  node.name = name;
+  node.handle = handle;
+  _handles.set(handle, node);
+  return handle;
+}
+
+function notify(node) {
+  for (const obs of node.observers) stale(obs, DIRTY);
+  if (!_batchDepth) flush();
+}
+
+// Bring a node up to date by first refreshing its computed sources in the
+// order they were read. Because sources are always settled before the node
+// itself runs, a derived value never sees half-updated inputs.
+function refresh(node) {
+  if (node.state === CHECK) {
+    for (const src of node.sources) {
+      if (src.kind === COMPUTED) refresh(src);
+      if (node.state === DIRTY) break;
+    }
+  }
+  if (node.state === DIRTY) run(node);
+  else node.state = CLEAN;
+}
+
+function run(node) {
+  if (node.running) throw new Error("Cycle detected in reactive graph");
+
+  const prevObserver = _observer;
+  const prevOwner = _owner;
+  node.running = true;
+  node.state = CLEAN;
+  node.runs++;
+  // Dependencies are rebuilt on every run, so a signal read only in a branch
+  // that is no longer taken stops triggering this node.
+  cleanup(node);
+  unlink(node);
+  _observer = node;
+  _owner = node;
+  try {
+    if (node.kind === COMPUTED) {
+      const next = node.fn();
+      if (!node.hasValue || !node.equals(node.value, next)) {
+        node.value = next;
+        node.hasValue = true;
+        // An observer that is mid-run is the one reading us right now and
+        // already gets the fresh value.
+        for (const obs of node.observers) {
+          if (!obs.running) obs.state = DIRTY;
+        }
+      }
+    } else {
+      node.fn();
+    }
+  } catch (e) {
+    if (node.kind === COMPUTED) node.state = DIRTY;
+    throw e;
+  } finally {
+    node.running = false;
+    _observer = prevObserver;
+    _owner = prevOwner;
+  }
+}
+
+function read(node) {
+  if (node.disposed) return node.value;
+  if (node.kind === COMPUTED && node.state !== CLEAN) refresh(node);
+  track(node);
+  return node.value;
+}
+
+function peek(node) {
+  return untrack(() => read(node));
+}
+
+function flush() {
+  let failed = false;
+  let error;
+
+  // Writes made by effects while flushing are queued and drained in the
+  // same pass instead of recursing.
+  _batchDepth++;
+  try {
+    while (_queue.size) {
+      const queue = [..._queue];
+      _queue.clear();
+      for (const node of queue) {
+        if (node.disposed) continue;
+        if (node.scheduler && !node.due) {
+          defer(node);
+          continue;
+        }
+        node.due = false;
+        try {
+          refresh(node);
+        } catch (e) {
+          if (!failed) {
+            failed = true;
+            error = e;
+          }
+        }
+      }
+    }
+  } finally {
+    _batchDepth--;
+  }
+
+  if (failed) throw error;
+}
+
+// Park an effect until its scheduler fires. Every effect that becomes stale
+// before then waits on the same callback, so a burst of writes costs one run
+// per effect per tick.
+function defer(node) {
+  const { scheduler } = node;
+  let nodes = _deferred.get(scheduler);
+  if (!nodes) {
+    nodes = new Set();
+    _deferred.set(scheduler, nodes);
+    scheduler(() => {
+      _deferred.delete(scheduler);
+      for (const n of nodes) {
+        n.due = true;
+        _queue.add(n);
+      }
+      flush();
+    });
+  }
+  nodes.add(node);
+}
+
+// The Observable interop object returned by sig[Symbol.observable](). Like
+// a BehaviorSubject, it emits the current value on subscribe.
+function toObservable(node) {
+  const observable = {
+    subscribe(observer) {
+      const next =
+        typeof observer === "function"
+          ? observer
+          : observer?.next?.bind(observer);
+      next?.(peek(node));
+      const unsubscribe = subscribe(node, () => next?.(peek(node)));
+      return { unsubscribe };
+    },
+    [$$observable]() {
+      return observable;
+    },
+  };
+  return observable;
+}
+
+// for await (const v of sig): the current value, then every change. Values
+// written while the consumer is busy are queued, not dropped.
+async function* iterate(node) {
+  const queue = [peek(node)];
+  let wake = null;
+  const unsubscribe = subscribe(node, () => {
+    queue.push(peek(node));
+    wake?.();
+  });
+  try {
+    while (true) {
+      while (queue.length) yield queue.shift();
+      await new Promise((resolve) => {
+        wake = resolve;
+      });
+      wake = null;
+    }
+  } finally {
+    unsubscribe();
+  }
+}
+
+// subscribe() is a tiny effect: its first run only links it to the source,
+// later runs call `fn` untracked. It is never adopted by an owner: the caller
+// holds the returned unsubscribe function. `fn` runs without an owner too,
+// so effects it creates aren't disposed on the next notification.
+function subscribe(node, fn) {
+  const sub = createNode(EFFECT, () => read(node));
+  sub.name = `subscribe(${describe(node).name})`;
+  run(sub);
+  sub.fn = () => {
+    read(node);
+    const prevOwner = _owner;
+    _owner = null;
+    try {
+      untrack(fn);
+    } finally {
+      _owner = prevOwner;
+    }
+  };
+  return () => dispose(sub);
+}
+
+/**
+ * Create a reactive value.
+ *
+ * @param {*}      initial
+ * @param {Object} [options]
+ * @param {"strict"|"shallow"|"deep"|Function|false} [options.equals="strict"]
+ *   How a write is compared with the current value. A write that compares
+ *   equal notifies nobody; `false` notifies on every write.
+ */
+export function signal(initial, options = {}) {
+  const node = createNode(SIGNAL, null, initial, resolveEquals(options.equals));
 
   const s = {
     get val() {
-      if (_tracking) subs.add(_tracking);
-      return _val;
+      return read(node);
     },
     set val(v) {
-      if (v === _val) return;
-      _val = v;
-      for (const fn of subs) fn();
+      write(node, v);
     },
-    peek: () => _val,
-    subscribe: (fn) => {
-      subs.add(fn);
-      return () => subs.delete(fn);
+    peek: () => node.value,
+    // Write fn(current); the write goes through `equals` like any other.
+    update: (fn) => write(node, fn(node.value)),
+    // Edit the current value in place, then notify regardless of `equals`.
+    mutate: (fn) => {
+      fn(node.value);
+      emitWrite(node, node.value, node.value);
+      notify(node);
     },
-    toString: () => String(_val),
-    valueOf: () => _val,
+    subscribe: (fn) => subscribe(node, fn),
+    toString: () => String(node.value),
+    valueOf: () => node.value,
+    [$$observable]: () => toObservable(node),
+    [Symbol.asyncIterator]: () => iterate(node),
   };
-  return s;
+  return expose(node, s, options.name);
+}
+
+/**
+ * Run `fn` now and again whenever a signal it read changes.
+ *
+ * By default re-runs happen synchronously inside the write (or at the end of
+ * the enclosing batch). DOM-writing effects can pass a `scheduler` to coalesce
+ * every change within a tick into a single re-run: "microtask", "frame"
+ * (requestAnimationFrame), or a function `(run) => void` that calls `run`
+ * later. The first run is always synchronous.
+ *
+ * @param {Function} fn
+ * @param {Object}   [options]
+ * @param {"sync"|"microtask"|"frame"|Function} [options.scheduler="sync"]
+ * @param {string}   [options.name] - Debug name reported by inspect()
+ * @returns {Function} stop
+ */
+export function effect(fn, options = {}) {
+  const node = adopt(createNode(EFFECT, fn));
+  node.scheduler = resolveScheduler(options.scheduler);
+  const stop = expose(node, () => dispose(node), options.name);
+  // Batched so a write to a signal the first run already read re-queues the
+  // effect, as it would during a flush, instead of re-entering it.
+  batch(() => run(node));
+  return stop;
+}
+
+/**
+ * Derive a read-only signal from other signals. The value is computed on
+ * first read, cached, and only recomputed when a source it read last time
+ * has changed — a computed nothing reads never runs. Accepts the same
+ * `equals` and `name` options as signal(): a recomputed value that compares
+ * equal to the previous one is discarded and dependents are left alone.
+ */
+export function computed(fn, options = {}) {
+  const node = adopt(
+    createNode(COMPUTED, fn, undefined, resolveEquals(options.equals)),
+  );
+
+  const c = {
+    get val() {
+      return read(node);
+    },
+    peek: () => peek(node),
+    subscribe: (fn) => subscribe(node, fn),
+    toString: () => String(peek(node)),
+    valueOf: () => peek(node),
+    [$$observable]: () => toObservable(node),
+    [Symbol.asyncIterator]: () => iterate(node),
+  };
+  return expose(node, c, options.name);
+}
+
+// ── store() ────────────────────────────────────────────────────────────────
+// A store is a Proxy over a plain object or array. Each property gets its own
+// signal node, created the first time an effect or computed reads it, so
+// writing one property only re-runs what read that property. Adding or
+// removing keys notifies ITERATE, which is what Object.keys() and for...in
+// track; arrays track "length" instead.
+
+const RAW = Symbol("raw");
+const ITERATE = Symbol("iterate");
+const _proxies = new WeakMap();
+// Per-key signal nodes of stores and reactive collections, by target.
+const _keyNodes = new WeakMap();
+
+function isWrappable(value) {
+  if (value === null || typeof value !== "object") return false;
+  if (Array.isArray(value)) return true;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function toRaw(value) {
+  return (value !== null && typeof value === "object" && value[RAW]) || value;
+}
+
+function wrap(raw) {
+  let proxy = _proxies.get(raw);
+  if (!proxy) {
+    proxy = new Proxy(raw, storeHandler);
+    _proxies.set(raw, proxy);
+  }
+  return proxy;
+}
+
+function trackKey(target, key) {
+  if (!_observer) return;
+  let nodes = _keyNodes.get(target);
+  if (!nodes) {
+    nodes = new Map();
+    _keyNodes.set(target, nodes);
+  }
+  let node = nodes.get(key);
+  if (!node) {
+    node = createNode(SIGNAL);
+    node.name = String(key);
+    nodes.set(key, node);
+  }
+  track(node);
+}
+
+function triggerKey(target, key) {
+  const node = _keyNodes.get(target)?.get(key);
+  if (node) notify(node);
+}
+
+// Forget the node of a removed entry once nothing reads it any more, so a
+// collection keyed by objects does not keep every key it ever held alive.
+// Called after the removal has flushed: effects that still read the key have
+// re-tracked it by then.
+function releaseKey(target, key) {
+  const nodes = _keyNodes.get(target);
+  const node = nodes?.get(key);
+  if (node && !node.observers.size) nodes.delete(key);
+}
+
+// onWrite() report for one key of a store or collection; an absent entry
+// reads as undefined on either side.
+function emitKeyWrite(target, key, prev, next) {
+  if (!_writeHooks.size) return;
+  const info = {
+    name: String(key),
+    kind: KIND_NAMES[SIGNAL],
+    target: _proxies.get(target) ?? target,
+    key,
+    prev,
+    next,
+  };
+  for (const hook of _writeHooks) hook(info);
+}
+
+// Mutators run batched and untracked: an effect calling items.push() should
+// not subscribe to "length", and the index/length writes a mutator makes
+// flush as one update. Searches retry with raw arguments so both a store item
+// and the plain object it wraps are found.
+const arrayMethods = Object.create(null);
+
+const ARRAY_MUTATORS = [
+  "push",
+  "pop",
+  "shift",
+  "unshift",
+  "splice",
+  "sort",
+  "reverse",
+  "fill",
+  "copyWithin",
+];
+
+for (const name of ARRAY_MUTATORS) {
+  arrayMethods[name] = function (...args) {
+    return batch(() => untrack(() => Array.prototype[name].apply(this, args)));
+  };
+}
+
+for (const name of ["includes", "indexOf", "lastIndexOf"]) {
+  arrayMethods[name] = function (...args) {
+    const result = Array.prototype[name].apply(this, args);
+    if (result !== -1 && result !== false) return result;
+    return Array.prototype[name].apply(this[RAW], args.map(toRaw));
+  };
+}
+
+const storeHandler = {
+  get(target, key, receiver) {
+    if (key === RAW) return target;
+    if (Array.isArray(target) && key in arrayMethods) return arrayMethods[key];
+
+    const value = Reflect.get(target, key, receiver);
+    if (typeof key === "symbol") return value;
+    trackKey(target, key);
+    return isWrappable(value) ? wrap(value) : value;
+  },
+
+  set(target, key, value) {
+    const raw = toRaw(value);
+    const had = hasOwn(target, key);
+    const prev = target[key];
+    const isArray = Array.isArray(target);
+    const prevLength = isArray ? target.length : 0;
+
+    const ok = Reflect.set(target, key, raw);
+    if (had && Object.is(prev, raw)) return ok;
+
+    batch(() => {
+      emitKeyWrite(target, key, prev, raw);
+      triggerKey(target, key);
+      if (!had) triggerKey(target, ITERATE);
+      if (!isArray) return;
+      if (key === "length") {
+        // Truncating drops the trailing items without a trap per index.
+        for (let i = raw; i < prevLength; i++) triggerKey(target, String(i));
+      } else if (target.length !== prevLength) {
+        triggerKey(target, "length");
+      }
+    });
+    return ok;
+  },
+
+  deleteProperty(target, key) {
+    const had = hasOwn(target, key);
+    const prev = target[key];
+    const ok = Reflect.deleteProperty(target, key);
+    if (had && ok) {
+      batch(() => {
+        emitKeyWrite(target, key, prev, undefined);
+        triggerKey(target, key);
+        triggerKey(target, ITERATE);
+      });
+    }
+    return ok;
+  },
+
+  has(target, key) {
+    if (typeof key !== "symbol") trackKey(target, key);
+    return Reflect.has(target, key);
+  },
+
+  ownKeys(target) {
+    trackKey(target, Array.isArray(target) ? "length" : ITERATE);
+    return Reflect.ownKeys(target);
+  },
+};
+
+/**
+ * Wrap a plain object or array in a deeply reactive proxy. Every property is
+ * its own signal: effects re-run only when a property they read changes, and
+ * nested objects and arrays are wrapped on access. Array mutators notify only
+ * the indices whose values changed, plus `length` when it changes.
+ *
+ * @param {Object|Array} obj
+ * @returns {Object|Array} The reactive proxy (one proxy per object)
+ *
+ * @example
+ * const state = store({ tasks: [{ text: "a", done: false }] });
+ * effect(() => console.log(state.tasks[0].done));
+ * state.tasks[0].done = true; // only effects that read tasks[0].done re-run
+ * state.tasks.push({ text: "b", done: false });
+ */
+export function store(obj) {
+  if (!isWrappable(obj)) {
+    throw new TypeError("store() expects a plain object or array");
+  }
+  return wrap(toRaw(obj));
+}
+
+// ── reactiveMap() / reactiveSet() ──────────────────────────────────────────
+// Map and Set subclasses that share the store's per-key nodes. get()/has()
+// track one key; keys() and size track KEYS, which only changes when entries
+// are added or removed; values(), entries(), forEach() and for...of track
+// ITERATE, which also changes when an existing entry gets a new value.
+
+const KEYS = Symbol("keys");
+
+class ReactiveMap extends Map {
+  constructor(entries) {
+    super();
+    if (entries) for (const [key, value] of entries) super.set(key, value);
+  }
+
+  get(key) {
+    trackKey(this, key);
+    return super.get(key);
+  }
+
+  has(key) {
+    trackKey(this, key);
+    return super.has(key);
+  }
+
+  get size() {
+    trackKey(this, KEYS);
+    return super.size;
+  }
+
+  set(key, value) {
+    const had = super.has(key);
+    const prev = super.get(key);
+    super.set(key, value);
+    if (had && Object.is(prev, value)) return this;
+    batch(() => {
+      emitKeyWrite(this, key, prev, value);
+      triggerKey(this, key);
+      triggerKey(this, ITERATE);
+      if (!had) triggerKey(this, KEYS);
+    });
+    return this;
+  }
+
+  delete(key) {
+    const prev = super.get(key);
+    const had = super.delete(key);
+    if (had) {
+      batch(() => {
+        emitKeyWrite(this, key, prev, undefined);
+        triggerKey(this, key);
+        triggerKey(this, ITERATE);
+        triggerKey(this, KEYS);
+      });
+      releaseKey(this, key);
+    }
+    return had;
+  }
+
+  clear() {
+    if (!super.size) return;
+    const entries = [...super.entries()];
+    super.clear();
+    batch(() => {
+      for (const [key, prev] of entries) {
+        emitKeyWrite(this, key, prev, undefined);
+        triggerKey(this, key);
+      }
+      triggerKey(this, ITERATE);
+      triggerKey(this, KEYS);
+    });
+    for (const [key] of entries) releaseKey(this, key);
+  }
+
+  keys() {
+    trackKey(this, KEYS);
+    return super.keys();
+  }
+
+  values() {
+    trackKey(this, ITERATE);
+    return super.values();
+  }
+
+  entries() {
+    trackKey(this, ITERATE);
+    return super.entries();
+  }
+
+  forEach(fn, thisArg) {
+    trackKey(this, ITERATE);
+    super.forEach(fn, thisArg);
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+class ReactiveSet extends Set {
+  constructor(values) {
+    super();
+    if (values) for (const value of values) super.add(value);
+  }
+
+  has(value) {
+    trackKey(this, value);
+    return super.has(value);
+  }
+
+  get size() {
+    trackKey(this, ITERATE);
+    return super.size;
+  }
+
+  add(value) {
+    if (super.has(value)) return this;
+    super.add(value);
+    batch(() => {
+      emitKeyWrite(this, value, undefined, value);
+      triggerKey(this, value);
+      triggerKey(this, ITERATE);
+    });
+    return this;
+  }
+
+  delete(value) {
+    const had = super.delete(value);
+    if (had) {
+      batch(() => {
+        emitKeyWrite(this, value, value, undefined);
+        triggerKey(this, value);
+        triggerKey(this, ITERATE);
+      });
+      releaseKey(this, value);
+    }
+    return had;
+  }
+
+  clear() {
+    if (!super.size) return;
+    const values = [...super.values()];
+    super.clear();
+    batch(() => {
+      for (const value of values) {
+        emitKeyWrite(this, value, value, undefined);
+        triggerKey(this, value);
+      }
+      triggerKey(this, ITERATE);
+    });
+    for (const value of values) releaseKey(this, value);
+  }
+
+  keys() {
+    return this.values();
+  }
+
+  values() {
+    trackKey(this, ITERATE);
+    return super.values();
+  }
+
+  entries() {
+    trackKey(this, ITERATE);
+    return super.entries();
+  }
+
+  forEach(fn, thisArg) {
+    trackKey(this, ITERATE);
+    super.forEach(fn, thisArg);
+  }
+
+  [Symbol.iterator]() {
+    return this.values();
+  }
+}
+
+/**
+ * Create a Map whose reads are tracked per key. An effect that calls
+ * `map.get("a")` re-runs only when "a" is set or deleted; iterating or
+ * reading `size` subscribes to the collection as a whole.
+ *
+ * @param {Iterable<[*, *]>} [entries]
+ * @returns {Map}
+ *
+ * @example
+ * const users = reactiveMap();
+ * bindText("#owner", computed(() => users.get(ownerId.val)?.name ?? ""));
+ * users.set(7, { name: "Ada" }); // re-runs only readers of key 7 and iterators
+ */
+export function reactiveMap(entries) {
+  return new ReactiveMap(entries);
+}
+
+/**
+ * Create a Set whose `has(value)` reads are tracked per value; iterating or
+ * reading `size` subscribes to the set as a whole.
+ *
+ * @param {Iterable<*>} [values]
+ * @returns {Set}
+ */
+export function reactiveSet(values) {
+  return new ReactiveSet(values);
+}
+
+/**
+ * Run `fn` and defer every subscriber notification until it returns. Each
+ * affected subscriber runs once, after the outermost batch closes — even when
+ * `fn` throws, so writes made before the error are not left unannounced.
+ * Returns whatever `fn` returns.
+ */
+export function batch(fn) {
+  _batchDepth++;
+  try {
+    return fn();
+  } finally {
+    if (--_batchDepth === 0) flush();
+  }
 }
 
-export function effect(fn) {
-  let active = true;
-  const run = () => {
-    if (!active) return;
-    const prev = _tracking;
-    _tracking = run;
+/**
+ * Run `fn` without subscribing the current effect or computed to any signal
+ * it reads. Returns whatever `fn` returns.
+ */
+export function untrack(fn) {
+  const prev = _observer;
+  _observer = null;
+  try {
+    return fn();
+  } finally {
+    _observer = prev;
+  }
+}
+
+/**
+ * Register `fn` on the current effect or root. It runs before the effect
+ * re-runs and when the effect or root is disposed. Outside of an owner this
+ * is a no-op.
+ */
+export function onCleanup(fn) {
+  if (!_owner) return;
+  if (!_owner.cleanups) _owner.cleanups = [];
+  _owner.cleanups.push(fn);
+}
+
+/**
+ * Run `fn` inside a new ownership root. Effects and computeds created while
+ * it runs — and anything they create in turn — are disposed together when
+ * the `dispose` function passed to `fn` is called. Roots are never owned by
+ * an enclosing effect. Returns whatever `fn` returns.
+ */
+export function createRoot(fn) {
+  const root = createNode(ROOT);
+  const prevObserver = _observer;
+  const prevOwner = _owner;
+  _observer = null;
+  _owner = root;
+  try {
+    return fn(() => dispose(root));
+  } finally {
+    _observer = prevObserver;
+    _owner = prevOwner;
+  }
+}
+
+export function when(sig, fn) {
+  return effect(() => {
+    if (sig.val) fn(sig.val);
+  });
+}
+
+// Sources for watch(), resource() and the operators below: a signal, a
+// computed, or a getter whose reads are tracked.
+function readSource(source) {
+  return typeof source === "function" ? source() : source.val;
+}
+
+/**
+ * Call `fn(next, prev)` whenever `source` changes. Unlike effect(), only the
+ * source is tracked — `fn` runs untracked, and onCleanup() inside it runs
+ * before the next change. A getter source that recomputes to the same value
+ * does not call `fn`.
+ *
+ * @param {Object|Function} source - Signal, computed, or tracked getter
+ * @param {Function}        fn     - (next, prev) => void
+ * @param {Object}          [options]
+ * @param {boolean}         [options.immediate=false] - Also call `fn` right
+ *   away with the current value (and `prev` undefined)
+ * @param {boolean}         [options.once=false] - Stop after the first call
+ * @returns {Function} stop
+ *
+ * @example
+ * watch(selectedId, (id, prevId) => console.log(prevId, "→", id));
+ */
+export function watch(source, fn, options = {}) {
+  const { immediate = false, once = false } = options;
+  let initialized = false;
+  let done = false;
+  let prev;
+  let stop;
+
+  stop = effect(() => {
+    if (done) return;
+    const next = readSource(source);
+    const old = prev;
+    prev = next;
+
+    if (!initialized) {
+      initialized = true;
+      if (!immediate) return;
+    } else if (Object.is(next, old)) {
+      return;
+    }
+
+    untrack(() => fn(next, old));
+    if (once) {
+      done = true;
+      stop?.();
+    }
+  });
+
+  // `once` with `immediate` finishes during the first run, before `stop` is
+  // assigned.
+  if (done) stop();
+  return stop;
+}
+
+/**
+ * A read-only signal that follows `source`, but only once it has stopped
+ * changing for `ms` milliseconds. Stops with the current owner, or via
+ * dispose().
+ *
+ * @param {Object|Function} source
+ * @param {number}          ms
+ * @returns {Object} A computed with an extra dispose()
+ *
+ * @example
+ * const search = signal("");
+ * const query = debounced(search, 300);
+ * watch(query, (q) => HTTP.get(`/api/search?q=${q}`));
+ */
+export function debounced(source, ms) {
+  const out = signal(untrack(() => readSource(source)));
+  // The pending timeout is cleared by the watcher's own cleanup.
+  const stop = watch(source, (value) => {
+    const timeout = setTimeout(() => {
+      out.val = value;
+    }, ms);
+    onCleanup(() => clearTimeout(timeout));
+  });
+  const c = computed(() => out.val);
+  c.dispose = stop;
+  return c;
+}
+
+/**
+ * A read-only signal that follows `source` at most once every `ms`
+ * milliseconds. The first change passes through immediately; changes inside
+ * the window are collapsed into one trailing update with the latest value.
+ * Stops with the current owner, or via dispose().
+ *
+ * @param {Object|Function} source
+ * @param {number}          ms
+ * @returns {Object} A computed with an extra dispose()
+ */
+export function throttled(source, ms) {
+  const out = signal(untrack(() => readSource(source)));
+  let last = 0;
+  let timeout = null;
+  let latest;
+
+  const emit = () => {
+    timeout = null;
+    last = Date.now();
+    out.val = latest;
+  };
+
+  const stop = watch(source, (value) => {
+    latest = value;
+    const wait = last + ms - Date.now();
+    if (wait <= 0) emit();
+    else if (!timeout) timeout = setTimeout(emit, wait);
+  });
+
+  const c = computed(() => out.val);
+  c.dispose = () => {
+    stop();
+    clearTimeout(timeout);
+    timeout = null;
+  };
+  onCleanup(c.dispose);
+  return c;
+}
+
+/**
+ * A read-only signal holding the value `source` had before its latest
+ * change (`initial` until the first change). Stops with the current owner,
+ * or via dispose().
+ *
+ * @param {Object|Function} source
+ * @param {*}               [initial]
+ * @returns {Object} A computed with an extra dispose()
+ */
+export function previous(source, initial) {
+  const out = signal(initial);
+  const stop = watch(source, (next, prev) => {
+    out.val = prev;
+  });
+  const c = computed(() => out.val);
+  c.dispose = stop;
+  return c;
+}
+
+/**
+ * Load async data whenever `source` changes.
+ *
+ * `fetcher(value, { signal, refetching })` is called with the source's
+ * current value and an AbortSignal. When the source changes again — or the
+ * resource is disposed — the previous request's signal is aborted and its
+ * result is ignored, so a slow stale response can never overwrite a newer
+ * one. A source value of null, undefined or false means "nothing to load yet".
+ *
+ * `state` is one of "unresolved", "pending", "ready", "refreshing" or
+ * "errored".
+ *
+ * @param {Object|Function} source  - Signal, computed, or tracked getter
+ * @param {Function}        fetcher - (value, { signal, refetching }) => Promise
+ * @param {Object}          [options]
+ * @param {*}               [options.initial] - `data` before the first load
+ * @returns {{ data, loading, error, state, refetch, mutate, dispose }}
+ *
+ * @example
+ * const selectedCustomer = signal(null);
+ * const orders = resource(selectedCustomer, (id, { signal }) =>
+ *   fetch(`/api/customers/${id}/orders`, { signal }).then((r) => r.json()),
+ * );
+ * bindList("#orders", orders.data, (o) => `<li>${o.number}</li>`);
+ */
+export function resource(source, fetcher, options = {}) {
+  const data = signal(options.initial);
+  const loading = signal(false);
+  const error = signal(null);
+  const state = signal(options.initial === undefined ? "unresolved" : "ready");
+  let controller = null;
+
+  const load = (value, refetching) => {
+    controller?.abort();
+    const current = new AbortController();
+    controller = current;
+
+    batch(() => {
+      loading.val = true;
+      error.val = null;
+      state.val = data.peek() === undefined ? "pending" : "refreshing";
+    });
+
+    let pending;
     try {
-      fn();
+      pending = Promise.resolve(
+        fetcher(value, { signal: current.signal, refetching }),
+      );
+    } catch (e) {
+      pending = Promise.reject(e);
+    }
+
+    return pending.then(
+      (result) => {
+        if (current.signal.aborted) return data.peek();
+        batch(() => {
+          data.val = result;
+          loading.val = false;
+          state.val = "ready";
+        });
+        return result;
+      },
+      (e) => {
+        if (current.signal.aborted) return data.peek();
+        batch(() => {
+          error.val = e;
+          loading.val = false;
+          state.val = "errored";
+        });
+        return data.peek();
+      },
+    );
+  };
+
+  const stop = effect(() => {
+    const value = readSource(source);
+    // Runs before the next source change and on dispose.
+    onCleanup(() => controller?.abort());
+    if (value == null || value === false) {
+      // A request aborted here never settles, so settle its state instead.
+      batch(() => {
+        loading.val = false;
+        const settling = untrack(() => state.val);
+        if (settling === "pending" || settling === "refreshing") {
+          state.val = data.peek() === undefined ? "unresolved" : "ready";
+        }
+      });
+      return;
+    }
+    untrack(() => load(value, false));
+  });
+
+  return {
+    data,
+    loading,
+    error,
+    state,
+    /** Re-run the fetcher for the current source value. */
+    refetch: () => {
+      const value = untrack(() => readSource(source));
+      if (value == null || value === false) return Promise.resolve(data.peek());
+      return load(value, true);
+    },
+    /** Overwrite `data` locally, e.g. for an optimistic update. */
+    mutate: (value) => {
+      data.val = value;
+    },
+    /** Stop tracking the source and abort any request in flight. */
+    dispose: stop,
+  };
+}
+
+/**
+ * A signal backed by Web Storage.
+ *
+ * The value is read from storage on creation, written back (debounced) after
+ * every change, and updated live when another tab writes the same key. It is
+ * stored as JSON in an envelope `{ version, value }`; use `serialize` /
+ * `deserialize` to convert values JSON cannot represent (Dates, Sets, ...).
+ * When the stored version differs from `version`, `migrate(value, from)` is
+ * asked to upgrade it; without `migrate` the stored value is discarded.
+ *
+ * @param {string} key     - Storage key
+ * @param {*}      initial - Value used when nothing (valid) is stored
+ * @param {Object} [options]
+ * @param {"local"|"session"|Storage} [options.storage="local"]
+ * @param {Function} [options.serialize]   - value => JSON-safe value
+ * @param {Function} [options.deserialize] - JSON-safe value => value
+ * @param {number}   [options.version=0]
+ * @param {Function} [options.migrate]     - (storedValue, fromVersion) => value
+ * @param {number}   [options.debounce=100] - ms to wait before writing
+ * @param {*}        [options.equals]      - Same as signal()
+ * @returns {Object} A signal with an extra dispose() that flushes any pending
+ *   write and stops syncing
+ *
+ * @example
+ * const sidebarOpen = persistedSignal("ui:sidebar", true);
+ * const filters = persistedSignal("orders:filters", { status: "open" }, {
+ *   storage: "session",
+ *   version: 2,
+ *   migrate: (old, from) => (from === 1 ? { status: old.state } : old),
+ * });
+ */
+export function persistedSignal(key, initial, options = {}) {
+  const {
+    storage = "local",
+    serialize = (value) => value,
+    deserialize = (value) => value,
+    version = 0,
+    migrate,
+    debounce = 100,
+    equals,
+  } = options;
+
+  const area =
+    typeof storage === "string" ? window[`${storage}Storage`] : storage;
+
+  const load = (stored) => {
+    if (stored == null) return initial;
+    try {
+      const { version: from, value } = JSON.parse(stored);
+      if (from === version) return deserialize(value);
+      return migrate ? deserialize(migrate(value, from)) : initial;
+    } catch (e) {
+      console.warn(`Failed to load persisted signal "${key}": `, e);
+      return initial;
+    }
+  };
+
+  const s = signal(load(area.getItem(key)), { equals });
+
+  let timeout = null;
+  const save = () => {
+    clearTimeout(timeout);
+    timeout = null;
+    try {
+      const stored = JSON.stringify({ version, value: serialize(s.peek()) });
+      // Skip echoing a value that just arrived from another tab.
+      if (area.getItem(key) !== stored) area.setItem(key, stored);
+    } catch (e) {
+      console.warn(`Failed to persist signal "${key}": `, e);
+    }
+  };
+
+  const flushPending = () => {
+    if (timeout) save();
+  };
+
+  let removed = false;
+  const unsubscribe = s.subscribe(() => {
+    if (removed) return;
+    clearTimeout(timeout);
+    timeout = setTimeout(save, debounce);
+  });
+
+  // `key` is null when the other tab cleared the whole storage area. A
+  // removed key resets the signal without writing `initial` back, or every
+  // open tab would restore the key the moment it is removed.
+  const onStorage = (e) => {
+    if (e.storageArea !== area) return;
+    if (e.key !== key && e.key !== null) return;
+    if (e.newValue !== null) {
+      s.val = load(e.newValue);
+      return;
+    }
+    clearTimeout(timeout);
+    timeout = null;
+    removed = true;
+    try {
+      s.val = initial;
     } finally {
-      _tracking = prev;
+      removed = false;
+    }
+  };
+
+  window.addEventListener("storage", onStorage);
+  window.addEventListener("beforeunload", flushPending);
+
+  s.dispose = () => {
+    flushPending();
+    unsubscribe();
+    window.removeEventListener("storage", onStorage);
+    window.removeEventListener("beforeunload", flushPending);
+  };
+
+  return s;
+}
+
+/**
+ * Describe a signal, computed or effect (pass the effect's stop function) for
+ * debugging: its debug name, current value, how often it has run, and which
+ * nodes it reads from (`dependencies`) and notifies (`subscribers`). Linked
+ * nodes are listed as `{ name, kind, target }`, where `target` can be passed
+ * back to inspect(). Reading a computed's value here does not recompute it.
+ *
+ * @param {Object|Function} target
+ * @returns {Object} { name, kind, value, runs, stale, disposed, dependencies,
+ *   subscribers }
+ *
+ * @example
+ * const stop = bindText("#total", total);
+ * inspect(stop).dependencies; // [{ name: "total", kind: "computed", ... }]
+ * inspect(total).subscribers; // [{ name: "effect#12", kind: "effect", ... }]
+ */
+export function inspect(target) {
+  const node = _handles.get(target);
+  if (!node) {
+    throw new TypeError("inspect() expects a signal, computed or effect");
+  }
+  return {
+    ...describe(node),
+    value: node.kind === EFFECT ? undefined : node.value,
+    runs: node.runs,
+    stale: node.state !== CLEAN,
+    disposed: node.disposed,
+    dependencies: [...node.sources].map(describe),
+    subscribers: [...node.observers].map(describe),
+  };
+}
+
+/**
+ * Call `hook({ name, kind, target, prev, next })` after every signal write
+ * that changes a value, and after every mutate(). Writes to a store property
+ * or a reactiveMap()/reactiveSet() entry are reported too, with the store or
+ * collection as `target` and the property or entry as `key` (a missing entry
+ * is `undefined`). Returns a function that removes the hook.
+ *
+ * @param {Function} hook
+ * @returns {Function} remove
+ *
+ * @example
+ * const off = onWrite(({ name, prev, next }) =>
+ *   console.debug(`${name}:`, prev, "→", next),
+ * );
+ */
+export function onWrite(hook) {
+  _writeHooks.add(hook);
+  return () => _writeHooks.delete(hook);
+}
+
+// Plain deep copy of a store (or any plain value). Reading through the proxy
+// also subscribes the caller to every property.
+function snapshot(value) {
+  if (Array.isArray(value)) return value.map(snapshot);
+  if (!isWrappable(value)) return value;
+  const copy = {};
+  for (const key of Object.keys(value)) copy[key] = snapshot(value[key]);
+  return copy;
+}
+
+// Make a store match `value` property by property, so only what differs is
+// written and nested proxies that survive keep their subscribers.
+function reconcile(target, value) {
+  if (Array.isArray(target)) {
+    target.length = value.length;
+  } else {
+    for (const key of Object.keys(target)) {
+      if (!hasOwn(value, key)) delete target[key];
     }
+  }
+  for (const key of Object.keys(value)) {
+    const next = value[key];
+    const current = target[key];
+    if (
+      isWrappable(next) &&
+      isWrappable(current) &&
+      Array.isArray(next) === Array.isArray(current)
+    ) {
+      reconcile(current, next);
+    } else {
+      target[key] = snapshot(next);
+    }
+  }
+}
+
+/**
+ * Undo/redo for a signal or a store.
+ *
+ * Every committed change becomes one step. Writes made inside a single
+ * batch() commit together, so wrapping them in batch() records them as one
+ * step; with `coalesceMs`, consecutive changes closer together than that are
+ * merged too (e.g. typing). Values are recorded as deep snapshots of their
+ * plain objects and arrays, so in-place edits (a signal's mutate(), store
+ * writes) are undoable too; stores are restored property by property.
+ *
+ * @param {Object} target - A writable signal or a store()
+ * @param {Object} [options]
+ * @param {number} [options.limit=100]    - Maximum number of undo steps kept
+ * @param {number} [options.coalesceMs=0] - Merge changes closer than this
+ * @returns {{ undo, redo, canUndo, canRedo, clear, dispose }}
+ *
+ * @example
+ * const board = store({ columns: [] });
+ * const h = history(board, { coalesceMs: 500 });
+ * batch(() => {
+ *   board.columns[0].cards.splice(i, 1);
+ *   board.columns[1].cards.push(card);
+ * }); // one undo step
+ * h.undo();
+ */
+export function history(target, options = {}) {
+  const { limit = 100, coalesceMs = 0 } = options;
+  const isStore = isObject(target) && !!target[RAW];
+  const read = isStore ? () => snapshot(target) : () => snapshot(target.val);
+
+  let past = [];
+  let future = [];
+  let present = untrack(read);
+  let lastChange = 0;
+
+  const canUndo = signal(false);
+  const canRedo = signal(false);
+
+  const sync = () => {
+    batch(() => {
+      canUndo.val = past.length > 0;
+      canRedo.val = future.length > 0;
+    });
+  };
+
+  // Values written by undo()/redo() equal `present`, so they are not
+  // recorded as new steps.
+  const stop = watch(read, (next) => {
+    if (deepEqual(next, present)) return;
+    const now = Date.now();
+    const coalesce =
+      coalesceMs > 0 &&
+      past.length > 0 &&
+      future.length === 0 &&
+      now - lastChange < coalesceMs;
+    if (!coalesce) {
+      past.push(present);
+      if (past.length > limit) past.shift();
+    }
+    present = next;
+    future = [];
+    lastChange = now;
+    sync();
+  });
+
+  const move = (from, to) => {
+    if (!from.length) return;
+    to.push(present);
+    present = from.pop();
+    lastChange = 0;
+    untrack(() =>
+      batch(() => {
+        if (isStore) reconcile(target, present);
+        // A copy, so later in-place edits can't reach the recorded step.
+        else target.val = snapshot(present);
+      }),
+    );
+    sync();
+  };
+
+  return {
+    undo: () => move(past, future),
+    redo: () => move(future, past),
+    canUndo,
+    canRedo,
+    /** Forget all steps; the current value stays. */
+    clear: () => {
+      past = [];
+      future = [];
+      sync();
+    },
+    /** Stop recording. */
+    dispose: stop,
   };
-  run();
-  return () => { active = false; };
 }
 
-export function computed(fn) {
-  const s = signal(undefined);
-  effect(() => {
-    s.val = fn();
+/**
+ * A signal that follows an Observable (anything with `subscribe(observer)`,
+ * including RxJS observables and other libraries' Symbol.observable
+ * interop). The subscription ends with the current owner, or via dispose().
+ *
+ * @param {Object} observable
+ * @param {*}      [initial] - Value until the first emission
+ * @returns {Object} A signal with an extra dispose()
+ *
+ * @example
+ * const price = fromObservable(rxPrice$, 0);
+ * bindText("#price", price);
+ */
+export function fromObservable(observable, initial) {
+  const s = signal(initial);
+  const source =
+    typeof observable[$$observable] === "function"
+      ? observable[$$observable]()
+      : observable;
+  const subscription = source.subscribe({
+    next: (value) => {
+      s.val = value;
+    },
   });
+  s.dispose = () =>
+    typeof subscription === "function"
+      ? subscription()
+      : subscription?.unsubscribe();
+  onCleanup(s.dispose);
   return s;
 }
 
-export function batch(fn) {
-  _batching = true;
-  fn();
-  _batching = false;
-  _pending.forEach((f) => f());
-  _pending.clear();
+/**
+ * A signal holding the latest event from a DOM EventTarget, or from an
+ * emitter with `on(event, fn)` that returns an unsubscribe function (such as
+ * a WS socket). The listener is removed with the current owner, or via
+ * dispose().
+ *
+ * @param {EventTarget|Object} target
+ * @param {string}             event
+ * @param {Object}             [options]
+ * @param {Function}           [options.map]     - event => value stored
+ * @param {*}                  [options.initial] - Value before the first event
+ * @param {Object}             [options.listener] - addEventListener options
+ * @returns {Object} A signal with an extra dispose()
+ *
+ * @example
+ * const width = fromEventTarget(window, "resize", {
+ *   initial: window.innerWidth,
+ *   map: () => window.innerWidth,
+ * });
+ * const lastChat = fromEventTarget(socket, "chat");
+ */
+export function fromEventTarget(target, event, options = {}) {
+  const { map = (e) => e, initial, listener } = options;
+  const s = signal(initial);
+  const handler = (e) => {
+    s.val = map(e);
+  };
+
+  if (typeof target.addEventListener === "function") {
+    target.addEventListener(event, handler, listener);
+    s.dispose = () => target.removeEventListener(event, handler, listener);
+  } else {
+    const off = target.on(event, handler);
+    s.dispose =
+      typeof off === "function" ? off : () => target.off?.(event, handler);
+  }
+
+  onCleanup(s.dispose);
+  return s;
 }
 
-export function when(sig, fn) {
-  return effect(() => {
-    if (sig.val) fn(sig.val);
+/**
+ * A signal that takes the value `promise` resolves with. If it rejects, the
+ * value stays at `initial` and the reason is stored in the attached `error`
+ * signal.
+ *
+ * @param {Promise} promise
+ * @param {*}       [initial]
+ * @returns {Object} A signal with an extra `error` signal
+ *
+ * @example
+ * const user = fromPromise(HTTP.get("/api/me"), null);
+ */
+export function fromPromise(promise, initial) {
+  const s = signal(initial);
+  s.error = signal(null);
+  Promise.resolve(promise).then(
+    (value) => {
+      s.val = value;
+    },
+    (e) => {
+      s.error.val = e;
+    },
+  );
+  return s;
+}
+
+/**
+ * Resolve once `source` satisfies `predicate` (truthy by default) — right
+ * away if it already does. With `timeout`, reject after that many
+ * milliseconds instead of waiting forever.
+ *
+ * @param {Object|Function} source    - Signal, computed, or tracked getter
+ * @param {Function}        [predicate=Boolean]
+ * @param {Object}          [options]
+ * @param {number}          [options.timeout]
+ * @returns {Promise<*>} The first value that satisfied `predicate`
+ *
+ * @example
+ * await until(socketState, (s) => s === "open", { timeout: 5000 });
+ */
+export function until(source, predicate = Boolean, options = {}) {
+  const { timeout } = options;
+
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    let settled = false;
+    let stop;
+
+    // Detached from the current owner: the promise must settle even if the
+    // effect that awaited it re-runs.
+    stop = createRoot(() =>
+      watch(
+        source,
+        (value) => {
+          if (!predicate(value)) return;
+          settled = true;
+          clearTimeout(timer);
+          stop?.();
+          resolve(value);
+        },
+        { immediate: true },
+      ),
+    );
+
+    if (settled) {
+      stop();
+      return;
+    }
+
+    if (timeout != null) {
+      timer = setTimeout(() => {
+        stop();
+        reject(new Error(`until() timed out after ${timeout}ms`));
+      }, timeout);
+    }
   });
 }
@@ -0,0 +1,266 @@
+"use strict";
+
+// Allowlists for sanitize(). Anything not listed is removed; the tags in
+// DROP go together with their content, other unknown tags are unwrapped.
+const TAGS = [
+  "a", "abbr", "address", "article", "aside", "b", "bdi", "bdo",
+  "blockquote", "br", "button", "caption", "cite", "code", "col",
+  "colgroup", "data", "dd", "del", "details", "dfn", "div", "dl", "dt",
+  "em", "fieldset", "figcaption", "figure", "footer", "h1", "h2", "h3",
+  "h4", "h5", "h6", "header", "hr", "i", "img", "input", "ins", "kbd",
+  "label", "legend", "li", "main", "mark", "nav", "ol", "optgroup",
+  "option", "p", "picture", "pre", "q", "s", "samp", "section", "select",
+  "small", "source", "span", "strong", "sub", "summary", "sup", "table",
+  "tbody", "td", "textarea", "tfoot", "th", "thead", "time", "tr", "u",
+  "ul", "var", "wbr",
+];
+
+const ATTRIBUTES = [
+  "alt", "checked", "cite", "class", "colspan", "datetime", "dir",
+  "disabled", "for", "height", "href", "id", "label", "lang", "max",
+  "maxlength", "min", "multiple", "name", "open", "placeholder",
+  "readonly", "rel", "reversed", "role", "rowspan", "scope", "selected",
+  "size", "span", "src", "srcset", "start", "step", "tabindex", "target",
+  "title", "type", "value", "width",
+];
+
+const DROP = new Set([
+  "script", "style", "template", "iframe", "frame", "frameset", "object",
+  "embed", "applet", "noscript", "noembed", "link", "meta", "base",
+  "title", "svg", "math",
+]);
+
+const URL_ATTRIBUTES = new Set(["href", "src", "cite", "srcset"]);
+
+// Relative URLs and http(s)/mailto/tel; everything else (javascript:,
+// data:, vbscript:, …) is rejected.
+const SAFE_URL = /^(?:(?:https?|mailto|tel):|[^&:/?#]*(?:[/?#]|$))/i;
+
+const config = {
+  mode: "raw",
+  allow: { tags: [], attributes: [] },
+  trustedTypes: false,
+};
+
+// undefined until first needed; null when Trusted Types are off.
+let policy;
+
+export const esc = (s) =>
+  String(s ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+
+class UnsafeHTML {
+  constructor(html) {
+    this.html = String(html ?? "");
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+/**
+ * Mark a string as trusted markup. It is inserted as-is by html(),
+ * bindHtml(), bindList(), tag().html() and the template helpers, whatever
+ * the configured mode. Only use it for markup you wrote yourself.
+ *
+ * @param {string} html
+ * @returns {UnsafeHTML}
+ *
+ * @example
+ * Q("#help").html(unsafeHTML("<em>Tip:</em> press <kbd>/</kbd>"));
+ */
+export function unsafeHTML(html) {
+  return new UnsafeHTML(html);
+}
+
+export function isUnsafeHTML(value) {
+  return value instanceof UnsafeHTML;
+}
+
+function getPolicy() {
+  if (policy === undefined) {
+    const option = config.trustedTypes;
+    if (option && typeof option === "object") {
+      policy = option;
+    } else if (option && globalThis.trustedTypes?.createPolicy) {
+      // Content reaching the policy has already been escaped, sanitized or
+      // explicitly marked with unsafeHTML().
+      policy = globalThis.trustedTypes.createPolicy("vaniy", {
+        createHTML: (html) => html,
+      });
+    } else {
+      policy = null;
+    }
+  }
+  return policy;
+}
+
+/**
+ * Pass `html` through the configured Trusted Types policy, if any. Only for
+ * markup that is already safe: template strings the author wrote, or content
+ * that was escaped or sanitized first.
+ *
+ * @param {string} html
+ * @returns {string|TrustedHTML} Ready to assign to innerHTML
+ */
+export function trustedHTML(html) {
+  const p = getPolicy();
+  return p ? p.createHTML(html) : html;
+}
+
+/**
+ * Set how strings given to the HTML APIs are treated.
+ *
+ * - `mode: "raw"` (default) inserts strings as-is.
+ * - `mode: "sanitize"` runs them through sanitize() first.
+ * - `mode: "escape"` inserts them as text; template helpers escape the
+ *   values they interpolate, and only unsafeHTML() renders as markup.
+ *
+ * `allow` extends the sanitizer allowlists. `trustedTypes: true` creates
+ * a "vaniy" Trusted Types policy (add it to your CSP) and makes raw mode
+ * sanitize; pass your own policy object to use that instead.
+ *
+ * @param {object} options - { mode?, allow?, trustedTypes? }
+ *
+ * @example
+ * configureHTML({ mode: "escape" });
+ * Q("#title").html(task.name); // shown as text
+ */
+export function configureHTML(options = {}) {
+  if (options.mode !== undefined) {
+    if (!["raw", "sanitize", "escape"].includes(options.mode)) {
+      throw new TypeError(`configureHTML(): unknown mode "${options.mode}"`);
+    }
+    config.mode = options.mode;
+  }
+  if (options.allow !== undefined) {
+    config.allow = { tags: [], attributes: [], ...options.allow };
+  }
+  if (options.trustedTypes !== undefined) {
+    config.trustedTypes = options.trustedTypes;
+    policy = undefined;
+  }
+}
+
+export function htmlMode() {
+  return config.mode;
+}
+
+function isAllowedAttribute(attr, attributes) {
+  const name = attr.name.toLowerCase();
+  if (
+    !attributes.has(name) &&
+    !name.startsWith("data-") &&
+    !name.startsWith("aria-")
+  ) {
+    return false;
+  }
+  if (!URL_ATTRIBUTES.has(name)) return true;
+
+  // Browsers ignore whitespace and control characters in URLs, so an
+  // attacker can use them to hide a scheme.
+  const urls =
+    name === "srcset"
+      ? attr.value.split(",").map((c) => c.trim().split(/\s+/)[0])
+      : [attr.value];
+  return urls.every((url) =>
+    SAFE_URL.test(url.replace(/[\u0000- \u007f-\u009f]/g, "")),
+  );
+}
+
+function clean(parent, tags, attributes) {
+  for (const node of Array.from(parent.childNodes)) {
+    if (node.nodeType === 3) continue;
+    if (node.nodeType !== 1) {
+      node.remove();
+      continue;
+    }
+
+    const name = node.localName;
+    if (!tags.has(name)) {
+      if (DROP.has(name)) {
+        node.remove();
+      } else {
+        clean(node, tags, attributes);
+        node.replaceWith(...Array.from(node.childNodes));
+      }
+      continue;
+    }
+
+    for (const attr of Array.from(node.attributes)) {
+      if (!isAllowedAttribute(attr, attributes)) {
+        node.removeAttribute(attr.name);
+      }
+    }
+    clean(node, tags, attributes);
+  }
+}
+
+/**
+ * Strip everything but an allowlist of harmless tags and attributes from
+ * an HTML string: scripts, styles, frames, event handler attributes and
+ * `javascript:`-style URLs are removed. `data-*` and `aria-*` attributes
+ * are kept. Parsing happens in an inert document, so nothing loads or
+ * runs while sanitizing.
+ *
+ * @param {string} html
+ * @param {{ tags?: string[], attributes?: string[] }} [allow] - additions
+ *   to the default allowlists
+ * @returns {string}
+ *
+ * @example
+ * sanitize('<b onclick="steal()">hi</b><script>x()</script>');
+ * // "<b>hi</b>"
+ */
+export function sanitize(html, allow = {}) {
+  const tags = new Set([
+    ...TAGS,
+    ...config.allow.tags,
+    ...(allow.tags || []),
+  ]);
+  const attributes = new Set([
+    ...ATTRIBUTES,
+    ...config.allow.attributes,
+    ...(allow.attributes || []),
+  ]);
+
+  const doc = document.implementation.createHTMLDocument("");
+  const root = doc.createElement("div");
+  root.innerHTML = trustedHTML(String(html ?? ""));
+  clean(root, tags, attributes);
+  return root.innerHTML;
+}
+
+/**
+ * The markup a value stands for under the current mode: unsafeHTML()
+ * passes through, strings are escaped or sanitized as configured.
+ *
+ * @param {string|UnsafeHTML} value
+ * @returns {string}
+ */
+export function toMarkup(value) {
+  if (value instanceof UnsafeHTML) return value.html;
+  const html = String(value ?? "");
+  if (config.mode === "escape") return esc(html);
+  if (config.mode === "sanitize" || config.trustedTypes === true) {
+    return sanitize(html);
+  }
+  return html;
+}
+
+/**
+ * Assign `value` to `el.innerHTML` following the configured mode and
+ * Trusted Types policy.
+ *
+ * @param {Element} el
+ * @param {string|UnsafeHTML} value
+ */
+export function setHTML(el, value) {
+  el.innerHTML = trustedHTML(toMarkup(value));
+}
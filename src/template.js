@@ -1,13 +1,22 @@
+import { effect, untrack, createRoot } from "./reactive.js";
+import { fromCamelToKebabCase, esc } from "./utils.js";
+import { listen } from "./dom.js";
+import { trustedHTML } from "./sanitize.js";
+
 const MARKER = `__tpl_${Math.random().toString(36).slice(2, 8)}__`;
 const MARKER_ATTR = `data-vjs`;
 const attrMarkerRe = new RegExp(`${MARKER}(\\d+)`, "g");
+const nodeMarkerRe = new RegExp(`^${MARKER}(\\d+)$`);
 
 const templateCache = new WeakMap();
+// Container element → the live instance last rendered into it.
+const mounted = new WeakMap();
 
 class TemplateResult {
-  constructor(strings, values) {
+  constructor(strings, values, type = "html") {
     this.strings = strings;
     this.values = values;
+    this.type = type;
   }
 }
 
@@ -15,6 +24,116 @@ export function html(strings, ...values) {
   return new TemplateResult(strings, values);
 }
 
+/**
+ * Like html``, for SVG fragments. Elements are created in the SVG
+ * namespace even when the template has no <svg> root of its own, so it
+ * can be nested inside one.
+ *
+ * @example
+ * html`<svg viewBox="0 0 10 10">${svg`<circle r=${r} cx="5" cy="5" />`}</svg>`;
+ */
+export function svg(strings, ...values) {
+  return new TemplateResult(strings, values, "svg");
+}
+
+/**
+ * Like html``, for MathML fragments nested inside a <math> element.
+ */
+export function mathml(strings, ...values) {
+  return new TemplateResult(strings, values, "math");
+}
+
+class RepeatResult {
+  constructor(items, keyFn, templateFn) {
+    this.items = items;
+    this.keyFn = keyFn;
+    this.templateFn = templateFn;
+  }
+}
+
+/**
+ * Keyed list for node positions. Rows are matched by `keyFn(item, i)`
+ * across renders: existing DOM is moved rather than rebuilt, new keys
+ * get fresh rows, and rows whose key disappears are removed along with
+ * their subscriptions.
+ */
+export function repeat(items, keyFn, templateFn) {
+  return new RepeatResult(items, keyFn, templateFn);
+}
+
+class SuspenseResult {
+  constructor(options, content) {
+    this.options = options;
+    this.content = content;
+  }
+}
+
+/**
+ * Render `content`, showing `fallback` instead while any promise or async
+ * generator inside it (at any depth, until the next nested suspense()) is
+ * waiting for its first value, and `error(reason)` if one rejects. The
+ * content is built off-screen meanwhile, so it appears all at once.
+ *
+ * Without `error`, a rejection leaves the boundary empty. renderToString()
+ * writes the fallback when the content holds anything async.
+ *
+ * @param {{ fallback?: any, error?: Function|any }} options
+ * @param {any} content
+ *
+ * @example
+ * html`${suspense(
+ *   { fallback: html`<p>Loading…</p>`, error: (e) => html`<p>${e.message}</p>` },
+ *   html`<h1>${user.then((u) => u.name)}</h1>${loadPosts(id)}`,
+ * )}`;
+ */
+export function suspense(options, content) {
+  return new SuspenseResult(options || {}, content);
+}
+
+const isThenable = (value) => typeof value?.then === "function";
+
+const isAsyncIterable = (value) =>
+  value != null && typeof value[Symbol.asyncIterator] === "function";
+
+class DirectiveResult {
+  constructor(hooks, args) {
+    this.hooks = hooks;
+    this.args = args;
+  }
+}
+
+/**
+ * Define a directive: a value that takes control of the part it is bound
+ * to. `hooks.update(part, ...args)` runs on every commit, `connect(part)`
+ * once before the first update and `disconnect(part)` when the part gets
+ * another value or its template is disposed.
+ *
+ * `part` carries `type`, `name`, `element`, a `state` object private to
+ * that binding, and `setValue(value)` to commit a value the normal way.
+ * In an attribute, a directive that never calls setValue manages the DOM
+ * itself and is updated again whenever another part of the attribute
+ * rewrites it.
+ *
+ * For renderToString(), an optional `serialize(...args)` hook returns the
+ * value to render in the directive's place (attribute markup when it sits
+ * in a tag); without it nothing renders.
+ *
+ * @param {object} hooks { connect?, update, disconnect?, serialize? }
+ * @returns {Function} (...args) => directive value
+ *
+ * @example
+ * const upper = directive({
+ *   update(part, text) { part.setValue(String(text).toUpperCase()); },
+ * });
+ * html`<p>${upper("hi")}</p>`;
+ */
+export function directive(hooks) {
+  if (!hooks || typeof hooks.update !== "function") {
+    throw new TypeError("directive() requires an update(part, ...args) hook");
+  }
+  return (...args) => new DirectiveResult(hooks, args);
+}
+
 function isSignal(value) {
   return (
     value !== null &&
@@ -24,7 +143,23 @@ function isSignal(value) {
   );
 }
 
-function buildTemplate(strings) {
+// The quote character left open at the end of a tag's text, if any.
+function openQuote(text) {
+  let quote = null;
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    }
+  }
+  return quote;
+}
+
+// Turns the static strings into markup with markers, and records what
+// kind of binding each value feeds. Pure string work, so it also runs
+// where there is no DOM (renderToString).
+function parseTemplate(strings) {
   let cached = templateCache.get(strings);
   if (cached) return cached;
 
@@ -42,28 +177,37 @@ function buildTemplate(strings) {
       if (inTag) {
         const boolMatch = prior.match(/\?\s*([\w-]+)\s*=\s*$/);
         const propMatch = prior.match(/\.\s*([\w-]+)\s*=\s*$/);
-        const eventMatch = prior.match(/@\s*([\w-]+)\s*=\s*$/);
-        const attrMatch = prior.match(/([\w-]+)\s*=\s*("?)$/);
+        const eventMatch = prior.match(/@\s*([\w-]+(?:\.[\w-]+)*)\s*=\s*$/);
+        const attrMatch = prior.match(/([\w-]+)\s*=\s*$/);
 
-        if (boolMatch) {
+        if (openQuote(prior.slice(lastOpen))) {
+          // Inside a quoted value, possibly one of several parts of it:
+          // class="a ${x} b ${y}". Bindings are grouped per attribute later.
+          parts.push({ type: "attribute", index: i });
+          markup += `${MARKER}${i}`;
+        } else if (boolMatch) {
           markup = prior.slice(0, boolMatch.index);
           parts.push({ type: "bool", name: boolMatch[1], index: i });
           markup += `${MARKER_ATTR}-${i}=""`;
-        } else if (propMatch) {
-          markup = prior.slice(0, propMatch.index);
-          parts.push({ type: "prop", name: propMatch[1], index: i });
-          markup += `${MARKER_ATTR}-${i}=""`;
         } else if (eventMatch) {
           markup = prior.slice(0, eventMatch.index);
           parts.push({ type: "event", name: eventMatch[1], index: i });
           markup += `${MARKER_ATTR}-${i}=""`;
+        } else if (propMatch) {
+          markup = prior.slice(0, propMatch.index);
+          parts.push({ type: "prop", name: propMatch[1], index: i });
+          markup += `${MARKER_ATTR}-${i}=""`;
         } else if (attrMatch) {
-          parts.push({ type: "attribute", name: attrMatch[1], index: i });
-          // If already inside an open quote the closing " comes from strings[i+1];
-          // otherwise wrap the marker so the template stays valid HTML.
-          markup += attrMatch[2] ? `${MARKER}${i}` : `"${MARKER}${i}"`;
+          // Unquoted: wrap the marker so the template stays valid HTML.
+          parts.push({ type: "attribute", index: i });
+          markup += `"${MARKER}${i}"`;
+        } else if (/\s(?:\.\.\.)?$/.test(prior)) {
+          // Bare value in the tag: <input ${ref(el)}> or <div ...${spread(o)}>
+          markup = prior.replace(/\.\.\.$/, "");
+          parts.push({ type: "element", index: i });
+          markup += `${MARKER_ATTR}-${i}=""`;
         } else {
-          parts.push({ type: "attribute", name: "__unknown__", index: i });
+          parts.push({ type: "attribute", index: i });
           markup += `${MARKER}${i}`;
         }
       } else {
@@ -73,14 +217,69 @@ function buildTemplate(strings) {
     }
   }
 
-  const tpl = document.createElement("template");
-  tpl.innerHTML = markup;
-
-  cached = { tpl, parts };
+  cached = { markup, parts, tpl: null };
   templateCache.set(strings, cached);
   return cached;
 }
 
+function buildTemplate(strings, type = "html") {
+  const parsed = parseTemplate(strings);
+  if (!parsed.tpl) {
+    const tpl = document.createElement("template");
+    if (type === "html") {
+      tpl.innerHTML = trustedHTML(parsed.markup);
+    } else {
+      // Parse inside a <svg>/<math> root so the elements get its namespace,
+      // then drop the wrapper.
+      tpl.innerHTML = trustedHTML(`<${type}>${parsed.markup}</${type}>`);
+      const root = tpl.content.firstChild;
+      root.replaceWith(...Array.from(root.childNodes));
+    }
+    parsed.tpl = tpl;
+  }
+  return parsed;
+}
+
+// Bindings declared on template element `source`, attached to `target`
+// (the same element for a fresh clone, the server's element on hydrate).
+function collectElementBindings(source, target, parts, bindings) {
+  for (const part of parts) {
+    if (
+      part.type !== "node" &&
+      part.type !== "attribute" &&
+      source.hasAttribute(`${MARKER_ATTR}-${part.index}`)
+    ) {
+      bindings.push({ ...part, node: target });
+    }
+  }
+
+  // One group per attribute holding markers: its static text around the
+  // markers plus the bindings feeding them, so any part can rebuild it.
+  for (const attr of Array.from(source.attributes)) {
+    if (!attr.value.includes(MARKER)) continue;
+    const pieces = attr.value.split(attrMarkerRe);
+    const group = {
+      node: target,
+      name: attr.name,
+      strings: pieces.filter((_, i) => i % 2 === 0),
+      bindings: [],
+      values: [],
+    };
+    for (let i = 1; i < pieces.length; i += 2) {
+      const part = parts.find((p) => p.index === Number(pieces[i]));
+      const binding = {
+        ...part,
+        node: target,
+        attrName: attr.name,
+        _group: group,
+        _slot: group.bindings.length,
+      };
+      group.bindings.push(binding);
+      bindings.push(binding);
+    }
+  }
+}
+
 function walkTemplate(root, parts) {
   const bindings = [];
   const walker = document.createTreeWalker(
@@ -92,26 +291,18 @@ function walkTemplate(root, parts) {
   let node;
   while ((node = walker.nextNode())) {
     if (node.nodeType === Node.COMMENT_NODE) {
-      const match = node.textContent.match(new RegExp(`^${MARKER}(\\d+)$`));
+      const match = node.textContent.match(nodeMarkerRe);
       if (match) {
         const idx = Number(match[1]);
         const part = parts.find((p) => p.index === idx);
         if (part) bindings.push({ ...part, node });
       }
     } else if (node.nodeType === Node.ELEMENT_NODE) {
-      for (const part of parts) {
-        if (part.type === "bool" || part.type === "prop" || part.type === "event") {
-          if (node.hasAttribute(`${MARKER_ATTR}-${part.index}`)) {
-            node.removeAttribute(`${MARKER_ATTR}-${part.index}`);
-            bindings.push({ ...part, node });
-          }
-        } else if (part.type === "attribute") {
-          for (const attr of Array.from(node.attributes)) {
-            if (attr.value.includes(`${MARKER}${part.index}`)) {
-              bindings.push({ ...part, node, attrName: attr.name });
-              break;
-            }
-          }
+      const found = bindings.length;
+      collectElementBindings(node, node, parts, bindings);
+      for (const binding of bindings.slice(found)) {
+        if (binding.type !== "attribute") {
+          node.removeAttribute(`${MARKER_ATTR}-${binding.index}`);
         }
       }
     }
@@ -120,75 +311,477 @@ function walkTemplate(root, parts) {
 }
 
 function commitAttribute(binding, value) {
-  const attrName = binding.attrName || binding.name;
-  if (value == null || value === false) {
-    binding.node.removeAttribute(attrName);
-  } else {
-    const current = binding.node.getAttribute(attrName) || "";
-    if (current.includes(MARKER)) {
-      binding.node.setAttribute(
-        attrName,
-        current.replace(attrMarkerRe, String(value)),
-      );
-    } else {
-      binding.node.setAttribute(attrName, String(value));
+  binding._owned = false;
+  binding._group.values[binding._slot] = value;
+  writeAttribute(binding._group);
+}
+
+// Rebuild an attribute from its static text and current part values. A
+// whole-value attribute (name=${v}) is removed by null/false; inside a
+// larger value those render as "". Parts owned by a directive that
+// manages the DOM itself (classMap, styleMap) count as "" and the
+// directive is re-applied afterwards, unless `reapply` is false.
+function writeAttribute(group, reapply = true) {
+  const { node, name, strings, bindings, values } = group;
+
+  if (bindings.length === 1 && strings[0] === "" && strings[1] === "") {
+    if (bindings[0]._owned) {
+      if (!reapply) node.removeAttribute(name);
+      return;
     }
+    const value = values[0];
+    if (value == null || value === false) node.removeAttribute(name);
+    else node.setAttribute(name, String(value));
+    return;
+  }
+
+  let text = strings[0];
+  bindings.forEach((binding, i) => {
+    const value = binding._owned ? null : values[i];
+    text += (value == null || value === false ? "" : String(value)) +
+      strings[i + 1];
+  });
+  node.setAttribute(name, text);
+
+  if (!reapply) return;
+  for (const binding of bindings) {
+    const active = binding._owned && binding._directive;
+    if (active) active.hooks.update(active.part, ...active.args);
+  }
+}
+
+function isText(value) {
+  return (
+    typeof value === "string" ||
+    typeof value === "number" ||
+    typeof value === "bigint" ||
+    value === true
+  );
+}
+
+// Removes `start` through `end` (inclusive) from the DOM.
+function removeRange(start, end) {
+  let n = start;
+  while (n) {
+    const next = n.nextSibling;
+    n.remove();
+    if (n === end) break;
+    n = next;
+  }
+}
+
+// Moves `start` through `end` (inclusive) in front of `ref`.
+function moveRange(start, end, ref) {
+  const parent = ref.parentNode;
+  let n = start;
+  while (n) {
+    const next = n.nextSibling;
+    parent.insertBefore(n, ref);
+    if (n === end) break;
+    n = next;
+  }
+}
+
+// Drops nested instances and keyed rows without touching the DOM.
+function releaseNode(binding) {
+  if (binding._cancel) binding._cancel();
+  if (binding._suspense) binding._suspense.dispose();
+  if (binding._instances) binding._instances.forEach(disposeInstance);
+  if (binding._rows) binding._rows.forEach(releaseBinding);
+  binding._suspense = null;
+  binding._instances = null;
+  binding._rows = null;
+  binding._template = null;
+  binding._text = null;
+}
+
+// Undoes whatever the current value set up: signal subscription or
+// directive.
+function disconnectDirective(binding) {
+  const active = binding._directive;
+  binding._directive = null;
+  if (active && active.hooks.disconnect) active.hooks.disconnect(active.part);
+}
+
+function releaseValue(binding) {
+  if (binding._unsub) binding._unsub();
+  binding._unsub = null;
+  disconnectDirective(binding);
+}
+
+function releaseBinding(binding) {
+  releaseValue(binding);
+  if (binding.type === "node") releaseNode(binding);
+  // Listeners may sit outside the template (`.outside` on the document).
+  if (binding._off) binding._off();
+  binding._off = null;
+}
+
+function clearNode(binding) {
+  const { _start: start, node } = binding;
+  while (start.nextSibling && start.nextSibling !== node) {
+    start.nextSibling.remove();
   }
+  releaseNode(binding);
 }
 
-function commitNode(binding, value, cleanups) {
+function commitNode(binding, value) {
   const { node } = binding;
 
-  if (binding._nodes) {
-    for (const n of binding._nodes) n.remove();
-    if (binding._subCleanups) binding._subCleanups.forEach((fn) => fn());
-    binding._nodes = null;
-    binding._subCleanups = null;
+  // A new value supersedes a promise or async generator still running.
+  if (binding._cancel) binding._cancel();
+
+  // Content lives between a start comment and the binding's own marker,
+  // so it can be cleared even after nested parts have grown or shrunk.
+  if (!binding._start) {
+    binding._start = document.createComment("");
+    node.parentNode.insertBefore(binding._start, node);
   }
 
-  const subCleanups = [];
+  if (value instanceof RepeatResult) {
+    commitRepeat(binding, value);
+    return;
+  }
 
-  if (value == null || value === false) {
-    binding._nodes = [];
-  } else if (value instanceof TemplateResult) {
-    const frag = renderLive(value, subCleanups);
-    const nodes = Array.from(frag.childNodes);
-    node.parentNode.insertBefore(frag, node);
-    binding._nodes = nodes;
+  if (value instanceof SuspenseResult) {
+    commitSuspense(binding, value);
+    return;
+  }
+
+  if (isThenable(value) || isAsyncIterable(value)) {
+    commitAsync(binding, value);
+    return;
+  }
+
+  // Same template as last time: update its parts in place.
+  if (
+    value instanceof TemplateResult &&
+    binding._template &&
+    binding._template.strings === value.strings
+  ) {
+    updateInstance(binding._template, value.values);
+    return;
+  }
+
+  if (isText(value) && binding._text) {
+    binding._text.data = String(value);
+    return;
+  }
+
+  clearNode(binding);
+
+  if (value == null || value === false) return;
+
+  if (value instanceof TemplateResult) {
+    const instance = renderLive(value, binding._boundary);
+    node.parentNode.insertBefore(instance.fragment, node);
+    binding._instances = [instance];
+    binding._template = instance;
   } else if (Array.isArray(value)) {
     const frag = document.createDocumentFragment();
-    const nodes = [];
+    const instances = [];
     for (const item of value) {
       if (item instanceof TemplateResult) {
-        const f = renderLive(item, subCleanups);
-        nodes.push(...Array.from(f.childNodes));
-        frag.appendChild(f);
+        const instance = renderLive(item, binding._boundary);
+        instances.push(instance);
+        frag.appendChild(instance.fragment);
       } else if (item != null && item !== false) {
-        const t = document.createTextNode(String(item));
-        nodes.push(t);
-        frag.appendChild(t);
+        frag.appendChild(document.createTextNode(String(item)));
       }
     }
     node.parentNode.insertBefore(frag, node);
-    binding._nodes = nodes;
+    binding._instances = instances;
   } else if (value instanceof Node) {
     node.parentNode.insertBefore(value, node);
-    binding._nodes = [value];
   } else {
     const t = document.createTextNode(String(value));
     node.parentNode.insertBefore(t, node);
-    binding._nodes = [t];
+    binding._text = t;
+  }
+}
+
+// Positions in `seq` forming its longest increasing run, skipping -1s.
+function longestIncreasing(seq) {
+  const tails = [];
+  const links = new Array(seq.length);
+  for (let i = 0; i < seq.length; i++) {
+    if (seq[i] < 0) continue;
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (seq[tails[mid]] < seq[i]) lo = mid + 1;
+      else hi = mid;
+    }
+    links[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  }
+  const keep = new Set();
+  for (let k = tails.length ? tails[tails.length - 1] : -1; k >= 0; ) {
+    keep.add(k);
+    k = links[k];
+  }
+  return keep;
+}
+
+function commitRepeat(binding, { items, keyFn, templateFn }) {
+  if (!binding._rows) {
+    clearNode(binding);
+    binding._rows = new Map();
+  }
+
+  const prev = binding._rows;
+  const oldIndex = new Map();
+  let n = 0;
+  for (const key of prev.keys()) oldIndex.set(key, n++);
+
+  const next = new Map();
+  const order = [];
+  const created = document.createDocumentFragment();
+  let i = 0;
+  for (const item of items ?? []) {
+    const key = keyFn(item, i);
+    if (next.has(key)) {
+      throw new Error(`repeat(): duplicate key "${String(key)}"`);
+    }
+    let row = prev.get(key);
+    if (row) {
+      prev.delete(key);
+    } else {
+      row = {
+        type: "node",
+        node: document.createComment(""),
+        _boundary: binding._boundary,
+      };
+      created.appendChild(row.node);
+    }
+    commitLive(row, templateFn(item, i));
+    next.set(key, row);
+    order.push(oldIndex.has(key) ? oldIndex.get(key) : -1);
+    i++;
+  }
+
+  for (const row of prev.values()) {
+    releaseBinding(row);
+    removeRange(row._start, row.node);
+  }
+
+  // Rows on the longest run of unchanged relative order stay put; every
+  // other row is moved (or inserted) in front of its successor.
+  const keep = longestIncreasing(order);
+  const rows = Array.from(next.values());
+  let ref = binding.node;
+  for (let r = rows.length - 1; r >= 0; r--) {
+    const row = rows[r];
+    if (!keep.has(r)) moveRange(row._start, row.node, ref);
+    ref = row._start;
   }
 
-  binding._subCleanups = subCleanups;
+  binding._rows = next;
 }
 
-function commitValue(binding, value, cleanups) {
+// Promises render nothing until they resolve, and nothing if they reject
+// (a suspense() boundary shows the error); async generators render each
+// value they yield. Either keeps the enclosing suspense() boundary waiting
+// until the first value. A later commit or disposal cancels the wait (and
+// returns the generator).
+function commitAsync(binding, value) {
+  clearNode(binding);
+
+  const boundary = binding._boundary;
+  let active = true;
+  let iterator = null;
+
+  const cancel = () => {
+    if (active && iterator) iterator.return?.();
+    active = false;
+    binding._cancel = null;
+    if (boundary) boundary.settle(cancel);
+  };
+  // A rejection renders nothing; suspense({ error }) is where it shows.
+  const fail = (reason) => {
+    if (!active) return;
+    active = false;
+    if (boundary) boundary.fail(cancel, reason);
+  };
+
+  binding._cancel = cancel;
+  if (boundary) boundary.wait(cancel);
+
+  if (isThenable(value)) {
+    value.then((result) => {
+      if (!active) return;
+      cancel();
+      commitNode(binding, result);
+    }, fail);
+    return;
+  }
+
+  iterator = value[Symbol.asyncIterator]();
+  const step = () =>
+    iterator.next().then(({ done, value: item }) => {
+      if (!active) return;
+      if (boundary) boundary.settle(cancel);
+      if (done) {
+        active = false;
+        binding._cancel = null;
+        return;
+      }
+      binding._cancel = null;
+      commitNode(binding, item);
+      binding._cancel = cancel;
+      step();
+    }, fail);
+  step();
+}
+
+// A boundary owns two node slots inside the binding: `view` for the
+// fallback or error, and `content`, which is kept in a detached fragment
+// while something inside it is pending or failed.
+function createBoundary(binding) {
+  const { node } = binding;
+  const view = {
+    type: "node",
+    _start: document.createComment(""),
+    node: document.createComment(""),
+    _boundary: binding._boundary,
+  };
+  const content = {
+    type: "node",
+    _start: document.createComment(""),
+    node: document.createComment(""),
+  };
+  const holder = document.createDocumentFragment();
+  const holderEnd = document.createComment("");
+
+  node.parentNode.insertBefore(view._start, node);
+  node.parentNode.insertBefore(view.node, node);
+  holder.append(content._start, content.node, holderEnd);
+
+  let shown = false;
+  let state = null;
+  let lastReason;
+
+  const boundary = {
+    options: {},
+    content,
+    pending: new Set(),
+    failed: new Map(),
+    busy: false,
+    disposed: false,
+
+    wait(token) {
+      boundary.pending.add(token);
+      boundary.update();
+    },
+
+    settle(token) {
+      const waited = boundary.pending.delete(token);
+      const failed = boundary.failed.delete(token);
+      if (waited || failed) boundary.update();
+    },
+
+    fail(token, reason) {
+      boundary.pending.delete(token);
+      boundary.failed.set(token, reason);
+      boundary.update();
+    },
+
+    // `force` re-commits the fallback or error view even if the state is
+    // unchanged, for when the boundary itself is rendered again.
+    update(force = false) {
+      if (boundary.busy || boundary.disposed) return;
+      const [reason] = boundary.failed.values();
+      const next = boundary.failed.size
+        ? "error"
+        : boundary.pending.size
+          ? "fallback"
+          : "content";
+      if (!force && next === state && reason === lastReason) return;
+      state = next;
+      lastReason = reason;
+
+      const ready = next === "content";
+      if (ready !== shown) {
+        moveRange(content._start, content.node, ready ? node : holderEnd);
+        shown = ready;
+      }
+
+      const { fallback, error } = boundary.options;
+      if (ready) commitLive(view, null);
+      else if (next === "fallback") commitLive(view, fallback);
+      else {
+        commitLive(
+          view,
+          typeof error === "function" ? untrack(() => error(reason)) : error,
+        );
+      }
+    },
+
+    dispose() {
+      boundary.disposed = true;
+      releaseBinding(view);
+      releaseBinding(content);
+    },
+  };
+  content._boundary = boundary;
+  return boundary;
+}
+
+function commitSuspense(binding, { options, content }) {
+  if (!binding._suspense) {
+    clearNode(binding);
+    binding._suspense = createBoundary(binding);
+  }
+  const boundary = binding._suspense;
+  boundary.options = options;
+  boundary.busy = true;
+  try {
+    commitLive(boundary.content, content);
+  } finally {
+    boundary.busy = false;
+  }
+  boundary.update(true);
+}
+
+// The element keeps one listener per event part, calling whatever handler
+// is current; it is only re-added when the listener options change.
+function commitEvent(binding, value) {
+  const handler =
+    typeof value === "function" || typeof value?.handleEvent === "function"
+      ? value
+      : null;
+  const options =
+    handler && typeof handler === "object"
+      ? `${!!handler.capture}${!!handler.passive}${!!handler.once}`
+      : "";
+
+  binding._handler = handler;
+  if (binding._off && (!handler || binding._options !== options)) {
+    binding._off();
+    binding._off = null;
+  }
+  if (handler && !binding._off) {
+    binding._options = options;
+    binding._off = listen(
+      binding.node,
+      binding.name,
+      (e) => {
+        const current = binding._handler;
+        if (typeof current === "function") current.call(binding.node, e);
+        else current?.handleEvent(e);
+      },
+      typeof handler === "object" ? handler : undefined,
+    );
+  }
+}
+
+function commitValue(binding, value) {
   const { type, node, name } = binding;
 
   switch (type) {
     case "node":
-      commitNode(binding, value, cleanups);
+      commitNode(binding, value);
       break;
     case "attribute":
       commitAttribute(binding, value);
@@ -201,53 +794,840 @@ function commitValue(binding, value, cleanups) {
       node[name] = value;
       break;
     case "event":
-      if (binding._listener) node.removeEventListener(name, binding._listener);
-      if (typeof value === "function") {
-        node.addEventListener(name, value);
-        binding._listener = value;
-      }
+      commitEvent(binding, value);
       break;
   }
 }
 
-function commitLive(binding, value, cleanups) {
+function createPart(binding) {
+  return {
+    type: binding.type,
+    name: binding.attrName || binding.name,
+    get element() {
+      return binding.type === "node" ? binding.node.parentNode : binding.node;
+    },
+    state: {},
+    setValue: (value) => commitValue(binding, value),
+  };
+}
+
+function connectDirective(binding, { hooks, args }) {
+  const part = createPart(binding);
+  binding._directive = { hooks, part, args };
+
+  // The directive owns its part of the attribute until it calls setValue;
+  // drop the placeholder text.
+  if (binding.type === "attribute") {
+    binding._owned = true;
+    writeAttribute(binding._group, false);
+  }
+
+  if (hooks.connect) hooks.connect(part);
+  hooks.update(part, ...args);
+}
+
+// Commit an unwrapped value, handing the part to a directive if needed.
+function commitResolved(binding, value) {
+  const active = binding._directive;
+  if (
+    value instanceof DirectiveResult &&
+    active &&
+    active.hooks === value.hooks
+  ) {
+    active.args = value.args;
+    active.hooks.update(active.part, ...value.args);
+    return;
+  }
+
+  disconnectDirective(binding);
+
+  if (value instanceof DirectiveResult) connectDirective(binding, value);
+  else commitValue(binding, value);
+}
+
+function commitLive(binding, value) {
+  if (binding._unsub) binding._unsub();
+  binding._unsub = null;
+
   if (isSignal(value)) {
-    commitValue(binding, value.peek(), cleanups);
-    const unsub = value.subscribe(() => {
-      if (!binding.node.isConnected) return;
-      commitValue(binding, value.val, cleanups);
-    });
-    cleanups.push(unsub);
+    commitResolved(binding, value.peek());
+    follow(binding, value);
+  } else if (isThunk(binding, value)) {
+    followThunk(binding, value);
   } else {
-    commitValue(binding, value, cleanups);
+    commitResolved(binding, value);
   }
 }
 
-function renderLive(templateResult, cleanups) {
-  const { strings, values } = templateResult;
-  const { tpl, parts } = buildTemplate(strings);
+function follow(binding, sig) {
+  binding._unsub = sig.subscribe(() => {
+    // Content a suspense() boundary holds off-screen is still live.
+    if (!binding.node.isConnected && !binding._boundary) return;
+    commitResolved(binding, sig.val);
+  });
+}
 
-  const clone = tpl.content.cloneNode(true);
-  const bindings = walkTemplate(clone, parts);
+// Positions where a function is a derived value rather than a handler or
+// a property that happens to hold a function.
+const THUNK_TYPES = new Set(["node", "attribute", "bool"]);
 
-  for (const binding of bindings) {
-    commitLive(binding, values[binding.index], cleanups);
+function isThunk(binding, value) {
+  return typeof value === "function" && THUNK_TYPES.has(binding.type);
+}
+
+// Run `fn` in an effect and commit what it returns whenever a signal it
+// read changes. `initial` handles the first result (hydrate adopts it).
+function followThunk(binding, fn, initial = commitResolved) {
+  let commit = initial;
+  // A root of its own: effects for nested templates must outlive re-runs
+  // of an outer thunk that merely updates them in place.
+  binding._unsub = createRoot(() =>
+    effect(() => {
+      let value = fn();
+      if (isSignal(value)) value = value.val;
+      const apply = commit;
+      commit = commitResolved;
+      untrack(() => apply(binding, value));
+    }),
+  );
+}
+
+// An identical value needs no commit when it can't have changed behind our
+// back: primitives, and signals, functions and async values, which update
+// their part themselves. Arrays and objects may have been edited in place,
+// so they are committed again.
+function isUnchanged(binding, value) {
+  if (!binding._committed || binding._value !== value) return false;
+  return (
+    value === null ||
+    typeof value !== "object" ||
+    isSignal(value) ||
+    isThenable(value) ||
+    isAsyncIterable(value)
+  );
+}
+
+function updateInstance(instance, values) {
+  for (const binding of instance.bindings) {
+    const value = values[binding.index];
+    if (isUnchanged(binding, value)) continue;
+    binding._committed = true;
+    binding._value = value;
+    commitLive(binding, value);
   }
+}
+
+function disposeInstance(instance) {
+  instance.bindings.forEach(releaseBinding);
+}
 
-  return clone;
+// Parts inside a tag (ref(), model()) commit after the others, so they
+// find the element's content — a <select>'s options, say — in place.
+function commitOrder(bindings) {
+  return bindings.sort(
+    (a, b) => (a.type === "element") - (b.type === "element"),
+  );
+}
+
+// `boundary` is the suspense() boundary the instance renders inside, if any.
+function renderLive(templateResult, boundary = null) {
+  const { strings, values, type } = templateResult;
+  const { tpl, parts } = buildTemplate(strings, type);
+
+  const fragment = tpl.content.cloneNode(true);
+  const instance = {
+    strings,
+    bindings: commitOrder(walkTemplate(fragment, parts)),
+    fragment,
+  };
+  for (const binding of instance.bindings) binding._boundary = boundary;
+  updateInstance(instance, values);
+
+  return instance;
+}
+
+// True while the instance's top-level nodes are still where render() put
+// them; anything else means the container was rewritten behind our back.
+function isMountedIn(instance, el) {
+  return (
+    instance.first?.parentNode === el && instance.last?.parentNode === el
+  );
 }
 
+/**
+ * Render `templateResult` into `target`. Rendering the same template
+ * (same `strings`) into the same container again reuses the existing DOM
+ * and only commits the values that changed; a different template replaces
+ * the content. Returns a function that removes the DOM and every
+ * subscription.
+ */
 export function render(templateResult, target) {
   const el =
     typeof target === "string" ? document.querySelector(target) : target;
-  const cleanups = [];
 
-  const frag = renderLive(templateResult, cleanups);
-  el.innerHTML = "";
-  el.appendChild(frag);
+  const current = mounted.get(el);
+  if (current) {
+    if (
+      current.instance.strings === templateResult.strings &&
+      isMountedIn(current.instance, el)
+    ) {
+      updateInstance(current.instance, templateResult.values);
+      return current.stop;
+    }
+    disposeInstance(current.instance);
+    mounted.delete(el);
+  }
+
+  const instance = renderLive(templateResult);
+  const { fragment } = instance;
+  el.replaceChildren();
+  el.appendChild(fragment);
+  return mountInstance(el, instance);
+}
+
+// Remember `instance` as the content of `el` and return its stop function.
+function mountInstance(el, instance) {
+  instance.first = el.firstChild;
+  instance.last = el.lastChild;
 
-  return () => {
-    cleanups.forEach((fn) => fn());
-    el.innerHTML = "";
+  const stop = () => {
+    // Already replaced by another render() or stopped before.
+    if (mounted.get(el)?.instance !== instance) return;
+    mounted.delete(el);
+    disposeInstance(instance);
+    el.replaceChildren();
   };
+  mounted.set(el, { instance, stop });
+  return stop;
+}
+
+// ── Server rendering ─────────────────────────────────────────────────────
+
+// Node parts are wrapped in <!--[--> … <!--]--> so hydrate() can find
+// them again; keyed rows and array items get a pair each.
+const OPEN = "[";
+const CLOSE = "]";
+
+function wrap(content) {
+  return `<!--${OPEN}-->${content}<!--${CLOSE}-->`;
+}
+
+// Signals render their current value, thunks their result and directives
+// their `serialize` hook.
+function resolveStatic(value) {
+  for (;;) {
+    if (isSignal(value)) {
+      value = value.peek();
+    } else if (typeof value === "function") {
+      value = untrack(value);
+    } else if (value instanceof DirectiveResult) {
+      const { hooks, args } = value;
+      value = hooks.serialize ? hooks.serialize(...args) : undefined;
+    } else {
+      return value;
+    }
+  }
+}
+
+// Set while stringifying when a promise or async generator is met, so
+// the nearest suspense() renders its fallback instead.
+let suspendedOnServer = false;
+
+function stringifyNode(value) {
+  value = resolveStatic(value);
+  if (value == null || value === false) return "";
+  if (isThenable(value) || isAsyncIterable(value)) {
+    suspendedOnServer = true;
+    return "";
+  }
+  if (value instanceof SuspenseResult) {
+    const outer = suspendedOnServer;
+    suspendedOnServer = false;
+    const out = stringifyNode(value.content);
+    const suspended = suspendedOnServer;
+    suspendedOnServer = outer;
+    return suspended ? stringifyNode(value.options.fallback) : out;
+  }
+  if (value instanceof TemplateResult) return stringifyTemplate(value);
+  if (value instanceof RepeatResult) {
+    let out = "";
+    let i = 0;
+    for (const item of value.items ?? []) {
+      out += wrap(stringifyNode(value.templateFn(item, i++)));
+    }
+    return out;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => wrap(stringifyNode(item))).join("");
+  }
+  if (value.nodeType === 1) return value.outerHTML;
+  if (value.nodeType) return esc(value.textContent);
+  return esc(value);
+}
+
+function stringifyTemplate({ strings, values }) {
+  const { markup, parts } = parseTemplate(strings);
+  const partAt = (i) => parts.find((p) => p.index === Number(i));
+  const re = new RegExp(
+    `<!--${MARKER}(\\d+)-->` +
+      `|\\s${MARKER_ATTR}-(\\d+)=""` +
+      `|([^\\s"'<>/=]+)=(?:"([^"]*${MARKER}\\d+[^"]*)"` +
+      `|'([^']*${MARKER}\\d+[^']*)'` +
+      `|([^\\s"'<>=\`]*${MARKER}\\d+[^\\s"'<>=\`]*))`,
+    "g",
+  );
+
+  return markup.replace(re, (_, node, flag, name, double, single, bare) => {
+    if (node !== undefined) return wrap(stringifyNode(values[node]));
+
+    if (flag !== undefined) {
+      const part = partAt(flag);
+      if (part.type === "bool") {
+        return resolveStatic(values[flag]) ? ` ${part.name}` : "";
+      }
+      if (part.type !== "element" || typeof values[flag] === "function") {
+        return "";
+      }
+      // Directives in a tag (spread) serialize to attribute markup.
+      const value = resolveStatic(values[flag]);
+      return typeof value === "string" && value ? ` ${value}` : "";
+    }
+
+    // Same rules as writeAttribute(); the value keeps its quotes (esc()
+    // escapes both kinds), and an unquoted one gets double quotes.
+    const q = single !== undefined ? "'" : '"';
+    const attrValue = double ?? single ?? bare;
+    const whole = attrValue.match(new RegExp(`^${MARKER}(\\d+)$`));
+    if (whole) {
+      const value = resolveStatic(values[whole[1]]);
+      return value == null || value === false
+        ? ""
+        : `${name}=${q}${esc(value)}${q}`;
+    }
+    const text = attrValue.replace(attrMarkerRe, (_, i) => {
+      const value = resolveStatic(values[i]);
+      return value == null || value === false ? "" : esc(value);
+    });
+    return `${name}=${q}${text}${q}`;
+  });
+}
+
+/**
+ * Render a template to an HTML string without touching the DOM. Values
+ * are escaped, signals render their current value and event/property
+ * bindings are left out. Pair with hydrate() on the client.
+ *
+ * @param {TemplateResult} templateResult
+ * @returns {string}
+ *
+ * @example
+ * const page = renderToString(html`<h1>${title}</h1>`);
+ */
+export function renderToString(templateResult) {
+  return stringifyNode(templateResult);
+}
+
+// ── Hydration ────────────────────────────────────────────────────────────
+
+function mismatch() {
+  return new Error("hydrate(): server markup does not match the template");
+}
+
+function isComment(node, data) {
+  return node?.nodeType === 8 && node.data === data;
 }
+
+// The <!--]--> that closes the <!--[--> at `open`.
+function findClose(open) {
+  let depth = 0;
+  for (let n = open; n; n = n.nextSibling) {
+    if (isComment(n, OPEN)) depth++;
+    else if (isComment(n, CLOSE) && --depth === 0) return n;
+  }
+  throw mismatch();
+}
+
+// Each <!--[-->…<!--]--> pair between `start` and `end`.
+function ranges(start, end) {
+  const found = [];
+  for (let n = start.nextSibling; n && n !== end; n = n.nextSibling) {
+    if (!isComment(n, OPEN)) continue;
+    const close = findClose(n);
+    found.push({ type: "node", _start: n, node: close });
+    n = close;
+  }
+  return found;
+}
+
+// Pair template nodes from `source` on with server nodes from `node` on,
+// collecting bindings. Returns the server node after the last match.
+function hydrateNodes(source, node, parts, bindings) {
+  for (; source; source = source.nextSibling) {
+    if (!node) throw mismatch();
+
+    const match =
+      source.nodeType === 8 && source.data.match(nodeMarkerRe);
+    if (match) {
+      if (!isComment(node, OPEN)) throw mismatch();
+      const part = parts.find((p) => p.index === Number(match[1]));
+      const close = findClose(node);
+      bindings.push({ ...part, node: close, _start: node });
+      node = close.nextSibling;
+      continue;
+    }
+
+    if (source.nodeType === 1) {
+      if (node.nodeName !== source.nodeName) throw mismatch();
+      collectElementBindings(source, node, parts, bindings);
+      hydrateNodes(source.firstChild, node.firstChild, parts, bindings);
+    }
+    node = node.nextSibling;
+  }
+  return node;
+}
+
+function hydrateInstance(templateResult, node) {
+  const { strings, values, type } = templateResult;
+  const { tpl, parts } = buildTemplate(strings, type);
+  const bindings = [];
+  const next = hydrateNodes(tpl.content.firstChild, node, parts, bindings);
+  const instance = { strings, bindings: commitOrder(bindings) };
+
+  for (const binding of instance.bindings) {
+    const value = values[binding.index];
+    binding._committed = true;
+    binding._value = value;
+    hydrateBinding(binding, value);
+  }
+  return { instance, next };
+}
+
+function hydrateBinding(binding, value) {
+  if (binding.type === "node" && typeof value === "function") {
+    followThunk(binding, value, (b, v) => {
+      if (!adoptNode(b, v)) commitResolved(b, v);
+    });
+    return;
+  }
+
+  const resolved = isSignal(value) ? value.peek() : value;
+  if (binding.type === "node" && adoptNode(binding, resolved)) {
+    if (isSignal(value)) follow(binding, value);
+  } else {
+    commitLive(binding, value);
+  }
+}
+
+// Take over the server-rendered content of a node part instead of
+// rebuilding it. Returns false for values that have to be committed.
+function adoptNode(binding, value) {
+  const { _start: start, node: end } = binding;
+
+  if (value == null || value === false) return true;
+
+  if (isText(value)) {
+    const text = start.nextSibling;
+    if (text.nodeType === 3 && text.nextSibling === end) binding._text = text;
+    return String(value) === (binding._text?.data ?? "");
+  }
+
+  if (value instanceof TemplateResult) {
+    const { instance, next } = hydrateInstance(value, start.nextSibling);
+    if (next !== end) throw mismatch();
+    binding._instances = [instance];
+    binding._template = instance;
+    return true;
+  }
+
+  if (value instanceof RepeatResult) {
+    const rows = ranges(start, end);
+    const items = Array.from(value.items ?? []);
+    if (rows.length !== items.length) throw mismatch();
+    binding._rows = new Map();
+    items.forEach((item, i) => {
+      hydrateBinding(rows[i], value.templateFn(item, i));
+      binding._rows.set(value.keyFn(item, i), rows[i]);
+    });
+    return true;
+  }
+
+  if (Array.isArray(value)) {
+    const slots = ranges(start, end);
+    if (slots.length !== value.length) throw mismatch();
+    binding._instances = [];
+    value.forEach((item, i) => {
+      if (!(item instanceof TemplateResult)) return;
+      const first = slots[i]._start.nextSibling;
+      const { instance, next } = hydrateInstance(item, first);
+      if (next !== slots[i].node) throw mismatch();
+      binding._instances.push(instance);
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Attach a template to markup produced by renderToString() for the same
+ * template: bindings and listeners are wired to the existing nodes
+ * instead of creating new ones. Returns the same stop function as
+ * render(), and later render() calls update the hydrated DOM in place.
+ *
+ * @param {TemplateResult} templateResult
+ * @param {Element|string} target
+ * @returns {Function} stop
+ *
+ * @example
+ * hydrate(html`<button @click=${save}>${label}</button>`, "#app");
+ */
+export function hydrate(templateResult, target) {
+  const el =
+    typeof target === "string" ? document.querySelector(target) : target;
+
+  const current = mounted.get(el);
+  if (current) disposeInstance(current.instance);
+
+  const { instance, next } = hydrateInstance(templateResult, el.firstChild);
+  if (next) throw mismatch();
+  return mountInstance(el, instance);
+}
+
+function sameDeps(a, b) {
+  return a.length === b.length && a.every((dep, i) => Object.is(dep, b[i]));
+}
+
+/**
+ * Toggle classes from an object of `{ className: condition }`. Must be
+ * the value of a `class` attribute; static classes written next to it
+ * are kept.
+ *
+ * @example
+ * html`<li class="item ${classMap({ done: todo.done, active })}"></li>`;
+ */
+export const classMap = directive({
+  connect(part) {
+    if (part.type !== "attribute" || part.name !== "class") {
+      throw new TypeError("classMap() must be used in the class attribute");
+    }
+  },
+  update(part, classes) {
+    const { classList } = part.element;
+    const prev = part.state.classes || new Set();
+    const next = new Set();
+    for (const [name, on] of Object.entries(classes || {})) {
+      if (on) next.add(name);
+    }
+    for (const name of prev) if (!next.has(name)) classList.remove(name);
+    for (const name of next) classList.add(name);
+    part.state.classes = next;
+  },
+  serialize(classes) {
+    return Object.keys(classes || {})
+      .filter((name) => classes[name])
+      .join(" ");
+  },
+});
+
+// [cssProperty, value] pairs, skipping removed (null/false) entries.
+function styleEntries(styles) {
+  return Object.entries(styles || {})
+    .filter(([, value]) => value != null && value !== false)
+    .map(([key, value]) => [
+      key.startsWith("--") ? key : fromCamelToKebabCase(key),
+      String(value),
+    ]);
+}
+
+/**
+ * Set inline styles from an object. Keys may be camelCase, kebab-case or
+ * custom properties (`--gap`); `null`, `undefined` and `false` remove the
+ * property. Must be the value of a `style` attribute.
+ *
+ * @example
+ * html`<div style=${styleMap({ width: `${pct}%`, "--accent": color })}></div>`;
+ */
+export const styleMap = directive({
+  connect(part) {
+    if (part.type !== "attribute" || part.name !== "style") {
+      throw new TypeError("styleMap() must be used in the style attribute");
+    }
+  },
+  update(part, styles) {
+    const { style } = part.element;
+    const prev = part.state.props || new Set();
+    const next = new Set();
+    for (const [prop, value] of styleEntries(styles)) {
+      style.setProperty(prop, value);
+      next.add(prop);
+    }
+    for (const prop of prev) if (!next.has(prop)) style.removeProperty(prop);
+    part.state.props = next;
+  },
+  serialize(styles) {
+    return styleEntries(styles)
+      .map(([prop, value]) => `${prop}: ${value}`)
+      .join("; ");
+  },
+});
+
+function setRef(target, el) {
+  if (typeof target === "function") target(el);
+  else if (target) target.val = el;
+}
+
+/**
+ * Hand the bound element to `target` — a callback or a signal — once it
+ * is rendered, and `null` once it is removed. Usable on its own inside a
+ * tag or in any attribute-style position.
+ *
+ * @example
+ * const input = signal(null);
+ * render(html`<input ${ref(input)} />`, "#app");
+ * input.val.focus();
+ */
+export const ref = directive({
+  update(part, target) {
+    if (part.state.target === target) return;
+    setRef(part.state.target, null);
+    part.state.target = target;
+    setRef(target, part.element);
+  },
+  disconnect(part) {
+    setRef(part.state.target, null);
+  },
+});
+
+/**
+ * Only re-run `fn` and commit its result when `deps` changed (compared
+ * item by item with Object.is). Useful for expensive sub-templates that
+ * sit in a frequently re-rendered view.
+ *
+ * @example
+ * html`<div>${guard([rows], () => rows.map(renderRow))}</div>`;
+ */
+export const guard = directive({
+  update(part, deps, fn) {
+    const list = Array.isArray(deps) ? deps : [deps];
+    if (part.state.deps && sameDeps(part.state.deps, list)) return;
+    part.state.deps = list;
+    part.setValue(fn());
+  },
+  serialize(deps, fn) {
+    return fn();
+  },
+});
+
+/**
+ * Show `placeholder` until `promise` resolves, then its value. A newer
+ * promise supersedes an older one still in flight. If it rejects, `error`
+ * is shown instead — a value, or a function given the reason; without it
+ * the placeholder stays.
+ *
+ * @example
+ * html`<p>${until(fetchName(id), "Loading…", (e) => `Failed: ${e.message}`)}</p>`;
+ */
+export const until = directive({
+  update(part, promise, placeholder, error) {
+    if (part.state.promise === promise) return;
+    part.state.promise = promise;
+    part.setValue(placeholder);
+    Promise.resolve(promise).then(
+      (value) => {
+        if (part.state.promise === promise) part.setValue(value);
+      },
+      (reason) => {
+        if (part.state.promise !== promise || error === undefined) return;
+        part.setValue(typeof error === "function" ? error(reason) : error);
+      },
+    );
+  },
+  disconnect(part) {
+    part.state.promise = null;
+  },
+  serialize(promise, placeholder) {
+    return placeholder;
+  },
+});
+
+// Form controls typed into: value follows `input` unless model() is lazy.
+function isTextLike(el) {
+  return (
+    el.localName === "textarea" ||
+    (el.localName === "input" && el.type !== "checkbox" && el.type !== "radio")
+  );
+}
+
+// Numbers stay numbers: option and radio values are coerced when the
+// signal (or the array it holds) already contains numbers.
+function coerce(raw, like) {
+  if (typeof like !== "number") return raw;
+  return raw === "" ? null : Number(raw);
+}
+
+function readControl(el, current) {
+  if (el.type === "checkbox") {
+    if (!Array.isArray(current)) return el.checked;
+    const rest = current.filter((v) => String(v) !== el.value);
+    const like = current.find((v) => v != null);
+    return el.checked ? [...rest, coerce(el.value, like)] : rest;
+  }
+  if (el.localName === "select" && el.multiple) {
+    const like = (current || []).find((v) => v != null);
+    return Array.from(el.options)
+      .filter((opt) => opt.selected)
+      .map((opt) => coerce(opt.value, like));
+  }
+  if (el.type === "number" || el.type === "range") return coerce(el.value, 0);
+  // Free text stays text, whatever the signal held before.
+  if (el.type !== "radio" && el.localName !== "select") return el.value;
+  return coerce(el.value, current);
+}
+
+function writeControl(el, value) {
+  if (el.type === "checkbox") {
+    el.checked = Array.isArray(value)
+      ? value.some((v) => String(v) === el.value)
+      : Boolean(value);
+  } else if (el.type === "radio") {
+    el.checked = value != null && String(value) === el.value;
+  } else if (el.localName === "select" && el.multiple) {
+    const wanted = new Set((value || []).map(String));
+    for (const opt of el.options) opt.selected = wanted.has(opt.value);
+  } else if (!Object.is(readControl(el, value), value)) {
+    // Only write when the control disagrees, so typing "1." into a number
+    // field or moving the caret isn't undone by the echo of our own write.
+    el.value = value ?? "";
+  }
+}
+
+/**
+ * Two-way binding between a signal and the form control it sits in:
+ * input, textarea, select (single or multiple), checkbox, or radio.
+ *
+ * Checkboxes bind to a boolean, or — when the signal holds an array — act
+ * as a group that adds and removes their `value`. Radios with the same
+ * signal form a group. `type="number"`/`"range"` produce numbers, and
+ * option/radio/group values are coerced to numbers when the signal holds
+ * numbers; other text fields always write strings. Text fields update on
+ * `input`; pass `{ lazy: true }` to update on `change` instead.
+ *
+ * @param {Object}  sig - writable signal
+ * @param {Object}  [options]
+ * @param {boolean} [options.lazy=false]
+ *
+ * @example
+ * const name = signal("");
+ * const tags = signal([]);
+ * html`<input ${model(name)} />
+ *   <input type="checkbox" value="a" ${model(tags)} />
+ *   <input type="checkbox" value="b" ${model(tags)} />`;
+ */
+export const model = directive({
+  connect(part) {
+    if (part.type !== "element") {
+      throw new TypeError("model() must be used inside a tag: <input ${…}>");
+    }
+  },
+  update(part, sig, options = {}) {
+    const { state } = part;
+    const lazy = Boolean(options.lazy);
+    if (state.sig === sig && state.lazy === lazy) return;
+    if (state.stop) state.stop();
+
+    const el = part.element;
+    const event = isTextLike(el) && !lazy ? "input" : "change";
+    const onEvent = () => {
+      sig.val = readControl(el, sig.peek());
+    };
+    el.addEventListener(event, onEvent);
+    const stop = createRoot(() => effect(() => writeControl(el, sig.val)));
+
+    state.sig = sig;
+    state.lazy = lazy;
+    state.stop = () => {
+      el.removeEventListener(event, onEvent);
+      stop();
+    };
+  },
+  disconnect(part) {
+    if (part.state.stop) part.state.stop();
+    part.state.stop = null;
+  },
+});
+
+// Apply one spread entry. `offs` maps `@` keys to their listener's remover.
+function applySpread(el, key, value, offs) {
+  const name = key.slice(1);
+  switch (key[0]) {
+    case "@":
+      if (offs[key]) offs[key]();
+      delete offs[key];
+      if (typeof value === "function") offs[key] = listen(el, name, value);
+      break;
+    case ".":
+      el[name] = value;
+      break;
+    case "?":
+      el.toggleAttribute(name, Boolean(value));
+      break;
+    default:
+      if (value == null || value === false) el.removeAttribute(key);
+      else el.setAttribute(key, String(value));
+  }
+}
+
+/**
+ * Spread an object onto the element it sits in. Plain keys are
+ * attributes (`null`/`false` remove them); `@` keys add listeners and
+ * take modifiers (`"@keydown.enter"`), `.` keys set properties and `?`
+ * keys toggle boolean attributes, like the template prefixes. On update
+ * only changed keys are touched, and keys that disappear are undone
+ * (properties are set to `null`).
+ *
+ * @param {Object} props
+ *
+ * @example
+ * const attrs = { id: "save", "@click": onSave, "?disabled": busy };
+ * html`<button ...${spread(attrs)}>Save</button>`;
+ */
+export const spread = directive({
+  connect(part) {
+    if (part.type !== "element") {
+      throw new TypeError("spread() must be used inside a tag: <div ...${…}>");
+    }
+  },
+  update(part, props) {
+    const el = part.element;
+    const prev = part.state.props || {};
+    const offs = (part.state.offs ||= {});
+    const next = { ...props };
+    for (const key of Object.keys(prev)) {
+      if (!(key in next)) {
+        applySpread(el, key, key[0] === "." ? null : undefined, offs);
+      }
+    }
+    for (const [key, value] of Object.entries(next)) {
+      if (!(key in prev) || !Object.is(prev[key], value)) {
+        applySpread(el, key, value, offs);
+      }
+    }
+    part.state.props = next;
+  },
+  disconnect(part) {
+    for (const off of Object.values(part.state.offs || {})) off();
+    part.state.offs = null;
+    part.state.props = null;
+  },
+  serialize(props) {
+    return Object.entries(props || {})
+      .filter(([key, value]) => {
+        if (key[0] === "@" || key[0] === ".") return false;
+        return key[0] === "?" ? value : value != null && value !== false;
+      })
+      .map(([key, value]) =>
+        key[0] === "?" ? key.slice(1) : `${key}="${esc(value)}"`,
+      )
+      .join(" ");
+  },
+});
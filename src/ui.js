@@ -1,10 +1,26 @@
 "use strict";
 
-import { effect } from "./reactive.js";
-import { Q } from "./dom.js";
+import { effect, untrack, onCleanup } from "./reactive.js";
+import { Q, listen } from "./dom.js";
+import { setHTML } from "./sanitize.js";
 
 // ── Core builder ────────────────────────────────────────────────────────────
 
+const NAMESPACES = {
+  svg: "http://www.w3.org/2000/svg",
+  math: "http://www.w3.org/1998/Math/MathML",
+};
+
+// "svg:path" and "math:mi" are created in their namespace; anything else
+// is a plain HTML element.
+function createElement(name) {
+  const sep = name.indexOf(":");
+  const ns = sep > 0 && NAMESPACES[name.slice(0, sep)];
+  return ns
+    ? document.createElementNS(ns, name.slice(sep + 1))
+    : document.createElement(name);
+}
+
 function tag(name) {
   const state = {
     tag: name,
@@ -29,8 +45,8 @@ function tag(name) {
     },
 
     /**
-     * Set innerHTML.
-     * @param {string} h
+     * Set innerHTML, escaped or sanitized per configureHTML().
+     * @param {string|UnsafeHTML} h
      */
     html(h) {
       state._html = h;
@@ -67,12 +83,14 @@ function tag(name) {
     },
 
     /**
-     * Attach a DOM event listener.
-     * @param {string}   event - Event name (e.g. "click", "input")
-     * @param {Function} fn    - Handler function
+     * Attach a DOM event listener. The event name takes the modifiers of
+     * listen(), e.g. "click.prevent", "keydown.enter" or "click.outside".
+     * @param {string}   event     - Event name (e.g. "click", "input")
+     * @param {Function} fn        - Handler function
+     * @param {Object}   [options] - { capture?, passive?, once? }
      */
-    on(event, fn) {
-      state.listeners.push([event, fn]);
+    on(event, fn, options) {
+      state.listeners.push([event, fn, options]);
       return builder;
     },
 
@@ -154,17 +172,20 @@ function tag(name) {
      * @returns {Object} Q-wrapped element
      */
     render(target, cleanups = []) {
-      const el = document.createElement(state.tag);
+      const el = createElement(state.tag);
 
       // Static content
       if (state.text) el.textContent = state.text;
-      if (state._html) el.innerHTML = state._html;
+      if (state._html) setHTML(el, state._html);
 
       // Attributes
       Object.entries(state.attrs).forEach(([k, v]) => el.setAttribute(k, v));
 
-      // Event listeners
-      state.listeners.forEach(([evt, fn]) => el.addEventListener(evt, fn));
+      // Event listeners; removed on destroy() since `.outside` ones live on
+      // the document
+      state.listeners.forEach(([evt, fn, options]) => {
+        cleanups.push(listen(el, evt, fn, options));
+      });
 
       // Children — accepts builders, Q-wrapped, or raw DOM nodes
       state.children.forEach((c) => {
@@ -191,22 +212,31 @@ function tag(name) {
         }));
       });
 
-      // Reactive list binding
+      // Reactive list binding. Row effects are owned by the list effect, so
+      // they are disposed on each re-render; the rows' own cleanups (such as
+      // `.on("click.outside")` listeners on the document) run at the same
+      // time. Rows are built untracked so only `sig` re-renders the list.
       if (state._list) {
         const { sig, itemFn, empty } = state._list;
         cleanups.push(effect(() => {
           const items = sig.val;
-          el.innerHTML = "";
+          el.replaceChildren();
           if (!items || !items.length) {
-            if (empty) el.innerHTML = empty;
+            if (empty) setHTML(el, empty);
             return;
           }
-          items.forEach((item, i) => {
-            const child = itemFn(item, i);
-            if (child) {
-              const node = child.render ? child.render(undefined, cleanups) : child;
-              el.appendChild(node.elt || node);
-            }
+          const rowCleanups = [];
+          onCleanup(() => rowCleanups.forEach((stop) => stop()));
+          untrack(() => {
+            items.forEach((item, i) => {
+              const child = itemFn(item, i);
+              if (child) {
+                const node = child.render
+                  ? child.render(undefined, rowCleanups)
+                  : child;
+                el.appendChild(node.elt || node);
+              }
+            });
           });
         }));
       }
@@ -228,6 +258,14 @@ function tag(name) {
   return builder;
 }
 
+/**
+ * Builder for an SVG element — shorthand for tag("svg:" + name).
+ * @param {string} name - e.g. "svg", "path", "circle"
+ */
+function svgTag(name) {
+  return tag(`svg:${name}`);
+}
+
 // No-op builder for .when(false) — renders nothing, all methods are safe to chain.
 function _noop() {
   const noop = {
@@ -416,4 +454,4 @@ function createPresets(theme = {}) {
   };
 }
 
-export { tag, createPresets };
+export { tag, svgTag, createPresets };
@@ -1,5 +1,7 @@
 "use strict";
 
+import { esc, unsafeHTML, isUnsafeHTML, htmlMode } from "./sanitize.js";
+
 export const redirect = (url) => (window.location.href = url);
 export const isArray = (arr) => Array.isArray(arr);
 export const isArrayEmpty = (arr) => !(Array.isArray(arr) && arr.length > 0);
@@ -134,44 +136,58 @@ export const each =
 
 export const when = (condition, template) => (condition ? template : "");
 
+// Interpolated values are escaped unless the HTML mode is "raw" or the
+// value is unsafeHTML(); outside raw mode the helpers' own output is marked
+// with unsafeHTML() so html()/bindHtml() don't escape it a second time.
+const v = (value) =>
+  htmlMode() === "raw" || isUnsafeHTML(value) ? value : esc(value);
+const markup = (html) => (htmlMode() === "raw" ? html : unsafeHTML(html));
+
 export const options = (list, valueKey, labelKey) =>
-  each(list)((i) => `<option value="${i[valueKey]}">${i[labelKey]}</option>`);
+  markup(
+    each(list)(
+      (i) => `<option value="${v(i[valueKey])}">${v(i[labelKey])}</option>`,
+    ),
+  );
 
 // Select with a placeholder prepended
 export const select = (list, valueKey, labelKey, placeHolder = "Choose...") =>
-  `<option value="">${placeHolder}</option>` +
-  options(list, valueKey, labelKey);
+  markup(
+    `<option value="">${v(placeHolder)}</option>` +
+      options(list, valueKey, labelKey),
+  );
 
 // radio group
 export const radios = (list, name) =>
-  each(list)(
-    (i) =>
-      `<label><input type="radio" name="${name}" value="${i.id}">${i.label}</label>`,
+  markup(
+    each(list)(
+      (i) =>
+        `<label><input type="radio" name="${v(name)}" value="${v(i.id)}">${v(i.label)}</label>`,
+    ),
   );
 
 // Table rows from an array of column keys
 export const rows = (list, keys) =>
-  each(list)((r) => `<tr>${each(keys)((k) => `<td>${r[k]}</td>`)}</tr>`);
+  markup(
+    each(list)((r) => `<tr>${each(keys)((k) => `<td>${v(r[k])}</td>`)}</tr>`),
+  );
 
 // Nested: optgroups, each with its own options
 export const optgroups = (groups) =>
-  each(groups)(
-    (g) =>
-      `<optgroup label="${g.label}">${options(g.items, "id", "name")}</optgroup>`,
+  markup(
+    each(groups)(
+      (g) =>
+        `<optgroup label="${v(g.label)}">${options(g.items, "id", "name")}</optgroup>`,
+    ),
   );
 
 // Numbered list using the index arg
 export const ol = (list) =>
-  each(list, "\n")((item, idx) => `<li value="${idx + 1}">${item}</li>`);
+  markup(
+    each(list, "\n")((item, idx) => `<li value="${idx + 1}">${v(item)}</li>`),
+  );
 
 // Comma-separated text (sep isn't HTML-specific)
 export const csv = (list) => each(list, ", ")((i) => i.name);
 
-export const esc = (s) =>
-  String(s ?? "").replace(
-    /[&<>"']/g,
-    (c) =>
-      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
-        c
-      ],
-  );
+export { esc };
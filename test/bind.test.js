@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from "vitest";
+import { describe, it, expect, beforeEach, vi } from "vitest";
 import { signal } from "../src/reactive.js";
 import {
   bind,
@@ -376,4 +376,47 @@ describe("bind.js", () => {
       );
     });
   });
+
+  describe("scheduler option", () => {
+    it("bindText() coalesces updates into one microtask", async () => {
+      const s = signal("a");
+      bindText("#box", s, { scheduler: "microtask" });
+      expect(Q("#box").text()).toBe("a");
+
+      s.val = "b";
+      s.val = "c";
+      expect(document.querySelector("#box").textContent).toBe("a");
+      await Promise.resolve();
+      expect(document.querySelector("#box").textContent).toBe("c");
+    });
+
+    it("bindAttr() writes once per animation frame", () => {
+      const frames = [];
+      vi.stubGlobal("requestAnimationFrame", (cb) => frames.push(cb));
+      const s = signal(0);
+      const setAttribute = vi.spyOn(
+        document.querySelector("#box"),
+        "setAttribute",
+      );
+      bindAttr("#box", "aria-valuenow", s, { scheduler: "frame" });
+
+      for (let i = 1; i <= 10; i++) s.val = i;
+      expect(frames).toHaveLength(1);
+      frames[0]();
+      expect(setAttribute).toHaveBeenCalledTimes(2);
+      expect(document.querySelector("#box").getAttribute("aria-valuenow")).toBe(
+        "10",
+      );
+      vi.unstubAllGlobals();
+    });
+
+    it("bindOptions() reads scheduler from its opts", async () => {
+      const items = signal([]);
+      bindOptions("#sel", items, { scheduler: "microtask" });
+      items.val = [{ id: 1, name: "One" }];
+      expect(document.querySelectorAll("#sel option")).toHaveLength(1);
+      await Promise.resolve();
+      expect(document.querySelectorAll("#sel option")).toHaveLength(2);
+    });
+  });
 });
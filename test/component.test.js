@@ -1,7 +1,7 @@
 import { describe, it, expect, beforeEach, vi } from "vitest";
 import { mount } from "../src/component.js";
 import { tag } from "../src/ui.js";
-import { signal } from "../src/reactive.js";
+import { signal, effect } from "../src/reactive.js";
 import { bindText } from "../src/bind.js";
 
 describe("component.js - mount()", () => {
@@ -410,6 +410,20 @@ describe("component.js - mount()", () => {
     checked.val = false; // should not throw
   });
 
+  it("destroy() stops effects created by the component without onCleanup", () => {
+    const count = signal(0);
+    const seen = [];
+    const inst = mount(() => {
+      effect(() => seen.push(count.val));
+      return tag("div");
+    }, "#app");
+
+    count.val = 1;
+    inst.destroy();
+    count.val = 2;
+    expect(seen).toEqual([0, 1]);
+  });
+
   // ── Multiple components on the same page ─────────────────────────────────
 
   it("multiple different components can coexist on the page", () => {
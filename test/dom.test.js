@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, vi } from "vitest";
-import { Q, all, makeId, parseHtml, make, onPageLoad, onWindowLoad, scan } from "../src/dom";
+import { Q, all, makeId, parseHtml, make, onPageLoad, onWindowLoad, scan, listen } from "../src/dom";
 
 describe("dom.js", () => {
   beforeEach(() => {
@@ -197,6 +197,113 @@ describe("dom.js", () => {
     });
   });
 
+  describe("listen()", () => {
+    const key = (el, k, init = {}) =>
+      el.dispatchEvent(
+        new KeyboardEvent("keydown", { key: k, bubbles: true, ...init }),
+      );
+
+    it("returns a function that removes the listener", () => {
+      const handler = vi.fn();
+      const el = document.querySelector("#a");
+      const off = listen(el, "click", handler);
+      el.click();
+      off();
+      el.click();
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it(".prevent and .stop", () => {
+      const outer = vi.fn();
+      document.body.addEventListener("click", outer);
+      const el = document.querySelector("#a");
+      let event;
+      listen(el, "click.prevent.stop", (e) => (event = e));
+      el.click();
+      expect(event.defaultPrevented).toBe(true);
+      expect(outer).not.toHaveBeenCalled();
+      document.body.removeEventListener("click", outer);
+    });
+
+    it(".once only counts calls that pass the filters", () => {
+      const handler = vi.fn();
+      const el = document.querySelector("#inp");
+      listen(el, "keydown.enter.once", handler);
+      key(el, "a");
+      key(el, "Enter");
+      key(el, "Enter");
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it("filters keys by alias, name and system modifier", () => {
+      const el = document.querySelector("#inp");
+      const esc = vi.fn();
+      const save = vi.fn();
+      const k = vi.fn();
+      listen(el, "keydown.esc", esc);
+      listen(el, "keydown.ctrl.s", save);
+      listen(el, "keydown.k", k);
+
+      key(el, "Escape");
+      key(el, "s");
+      key(el, "s", { ctrlKey: true });
+      key(el, "K");
+      expect(esc).toHaveBeenCalledTimes(1);
+      expect(save).toHaveBeenCalledTimes(1);
+      expect(k).toHaveBeenCalledTimes(1);
+    });
+
+    it(".self ignores events from children", () => {
+      document.body.innerHTML = `<div id="p"><span>c</span></div>`;
+      const handler = vi.fn();
+      listen(document.querySelector("#p"), "click.self", handler);
+      document.querySelector("span").click();
+      expect(handler).not.toHaveBeenCalled();
+      document.querySelector("#p").click();
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it(".outside fires for clicks elsewhere only", () => {
+      document.body.innerHTML = `<div id="menu"><b>in</b></div><i>out</i>`;
+      const close = vi.fn();
+      const off = listen(document.querySelector("#menu"), "click.outside", close);
+      document.querySelector("b").click();
+      expect(close).not.toHaveBeenCalled();
+      document.querySelector("i").click();
+      expect(close).toHaveBeenCalledTimes(1);
+      off();
+      document.querySelector("i").click();
+      expect(close).toHaveBeenCalledTimes(1);
+    });
+
+    it(".outside isn't triggered by the click that adds it", () => {
+      document.body.innerHTML = `<button>open</button><div id="menu"></div>`;
+      const close = vi.fn();
+      document.querySelector("button").addEventListener("click", () => {
+        listen(document.querySelector("#menu"), "click.outside", close);
+      });
+      document.querySelector("button").click();
+      expect(close).not.toHaveBeenCalled();
+    });
+
+    it("passes options to addEventListener", () => {
+      const el = document.querySelector("#a");
+      const spy = vi.spyOn(el, "addEventListener");
+      listen(el, "scroll.passive", () => {});
+      listen(el, "click", () => {}, { capture: true });
+      expect(spy.mock.calls[0][2]).toEqual({ capture: false, passive: true });
+      expect(spy.mock.calls[1][2]).toEqual({ capture: true, passive: false });
+    });
+
+    it("accepts handler objects", () => {
+      const handler = { handleEvent: vi.fn() };
+      const el = document.querySelector("#a");
+      listen(el, "click", handler);
+      el.click();
+      expect(handler.handleEvent).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe("Q() - null element safety", () => {
     it("returns undefined for methods when element does not exist", () => {
       expect(Q("#does-not-exist").text()).toBeUndefined();
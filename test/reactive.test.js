@@ -1,5 +1,30 @@
-import { describe, it, expect, vi } from "vitest";
-import { signal, effect, computed, batch, when } from "../src/reactive.js";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  signal,
+  effect,
+  computed,
+  batch,
+  when,
+  untrack,
+  onCleanup,
+  createRoot,
+  store,
+  resource,
+  persistedSignal,
+  inspect,
+  onWrite,
+  watch,
+  debounced,
+  throttled,
+  previous,
+  history,
+  reactiveMap,
+  reactiveSet,
+  fromObservable,
+  fromEventTarget,
+  fromPromise,
+  until,
+} from "../src/reactive.js";
 
 describe("reactive.js", () => {
   describe("signal()", () => {
@@ -44,6 +69,19 @@ describe("reactive.js", () => {
       expect(cb).not.toHaveBeenCalled();
     });
 
+    it("effects created in a subscriber outlive the next notification", () => {
+      const a = signal(0);
+      const b = signal("x");
+      const seen = [];
+      a.subscribe(() => {
+        if (a.peek() === 1) effect(() => seen.push(b.val));
+      });
+      a.val = 1;
+      a.val = 2;
+      b.val = "y";
+      expect(seen).toEqual(["x", "y"]);
+    });
+
     it("multiple independent subscribers are all notified", () => {
       const s = signal("a");
       const cb1 = vi.fn();
@@ -71,6 +109,68 @@ describe("reactive.js", () => {
       s.val = next;
       expect(s.val).toBe(next);
     });
+
+    it("accepts a custom equals comparator", () => {
+      const s = signal({ id: 1, name: "a" }, { equals: (a, b) => a.id === b.id });
+      const cb = vi.fn();
+      s.subscribe(cb);
+      s.val = { id: 1, name: "b" };
+      expect(cb).not.toHaveBeenCalled();
+      s.val = { id: 2, name: "b" };
+      expect(cb).toHaveBeenCalledTimes(1);
+    });
+
+    it("skips structurally equal writes with the shallow preset", () => {
+      const s = signal({ a: 1, b: 2 }, { equals: "shallow" });
+      const cb = vi.fn();
+      s.subscribe(cb);
+      s.val = { a: 1, b: 2 };
+      expect(cb).not.toHaveBeenCalled();
+      s.val = { a: 1, b: 3 };
+      expect(cb).toHaveBeenCalledTimes(1);
+    });
+
+    it("skips structurally equal writes with the deep preset", () => {
+      const s = signal({ list: [1, { x: 2 }] }, { equals: "deep" });
+      const cb = vi.fn();
+      s.subscribe(cb);
+      s.val = { list: [1, { x: 2 }] };
+      expect(cb).not.toHaveBeenCalled();
+      s.val = { list: [1, { x: 3 }] };
+      expect(cb).toHaveBeenCalledTimes(1);
+    });
+
+    it("notifies on every write with equals: false", () => {
+      const s = signal(1, { equals: false });
+      const cb = vi.fn();
+      s.subscribe(cb);
+      s.val = 1;
+      expect(cb).toHaveBeenCalledTimes(1);
+    });
+
+    it("throws on an unknown equals preset", () => {
+      expect(() => signal(1, { equals: "fuzzy" })).toThrow(TypeError);
+    });
+
+    it("update() writes the result of fn(current)", () => {
+      const s = signal(1);
+      const cb = vi.fn();
+      s.subscribe(cb);
+      s.update((n) => n + 1);
+      expect(s.val).toBe(2);
+      expect(cb).toHaveBeenCalledTimes(1);
+    });
+
+    it("mutate() edits in place and always notifies", () => {
+      const list = [1];
+      const s = signal(list);
+      const cb = vi.fn();
+      s.subscribe(cb);
+      s.mutate((arr) => arr.push(2));
+      expect(s.val).toBe(list);
+      expect(s.val).toEqual([1, 2]);
+      expect(cb).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe("effect()", () => {
@@ -112,6 +212,117 @@ describe("reactive.js", () => {
       expect(fn).not.toHaveBeenCalled();
     });
 
+    it("drops dependencies from branches no longer taken", () => {
+      const show = signal(true);
+      const a = signal("a");
+      const b = signal("b");
+      const fn = vi.fn(() => (show.val ? a.val : b.val));
+      effect(fn);
+      show.val = false;
+      fn.mockClear();
+
+      a.val = "a2";
+      expect(fn).not.toHaveBeenCalled();
+      b.val = "b2";
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it("detaches from every signal when stopped", () => {
+      const s = signal(0);
+      const c = computed(() => s.val + 1);
+      const fn = vi.fn(() => s.val + c.val);
+      const stop = effect(fn);
+      stop();
+      fn.mockClear();
+      s.val = 5;
+      expect(fn).not.toHaveBeenCalled();
+      expect(c.val).toBe(6);
+    });
+
+    it("can stop itself while running", () => {
+      const s = signal(0);
+      const fn = vi.fn();
+      const stop = effect(() => {
+        fn(s.val);
+        if (s.val > 0) stop();
+      });
+      s.val = 1;
+      s.val = 2;
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    it("runs synchronously by default", () => {
+      const s = signal(0);
+      const fn = vi.fn(() => s.val);
+      effect(fn, { scheduler: "sync" });
+      s.val = 1;
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    it("coalesces re-runs with the microtask scheduler", async () => {
+      const a = signal(0);
+      const b = signal(0);
+      const seen = [];
+      effect(() => seen.push(a.val + b.val), { scheduler: "microtask" });
+      a.val = 1;
+      b.val = 2;
+      a.val = 3;
+      expect(seen).toEqual([0]);
+      await Promise.resolve();
+      expect(seen).toEqual([0, 5]);
+    });
+
+    it("accepts a custom scheduler function", () => {
+      const pending = [];
+      const s = signal(0);
+      const fn = vi.fn(() => s.val);
+      effect(fn, { scheduler: (run) => pending.push(run) });
+      s.val = 1;
+      s.val = 2;
+      expect(pending).toHaveLength(1);
+      expect(fn).toHaveBeenCalledTimes(1);
+      pending[0]();
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    it("keeps sync effects synchronous next to deferred ones", () => {
+      const pending = [];
+      const s = signal(0);
+      const syncFn = vi.fn(() => s.val);
+      const deferredFn = vi.fn(() => s.val);
+      effect(deferredFn, { scheduler: (run) => pending.push(run) });
+      effect(syncFn);
+      s.val = 1;
+      expect(syncFn).toHaveBeenCalledTimes(2);
+      expect(deferredFn).toHaveBeenCalledTimes(1);
+    });
+
+    it("does not run a deferred effect stopped before its tick", () => {
+      const pending = [];
+      const s = signal(0);
+      const fn = vi.fn(() => s.val);
+      const stop = effect(fn, { scheduler: (run) => pending.push(run) });
+      s.val = 1;
+      stop();
+      pending[0]();
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it("throws on an unknown scheduler", () => {
+      expect(() => effect(() => {}, { scheduler: "later" })).toThrow(TypeError);
+    });
+
+    it("re-runs after writing a signal it read on its first run", () => {
+      const x = signal(20);
+      const seen = [];
+      effect(() => {
+        seen.push(x.val);
+        if (x.val > 10) x.val = 10;
+      });
+      expect(seen).toEqual([20, 10]);
+      expect(x.val).toBe(10);
+    });
+
     it("tracks multiple signals used in one effect", () => {
       const a = signal(1);
       const b = signal(2);
@@ -155,6 +366,77 @@ describe("reactive.js", () => {
       s.val = 4;
       expect(squaredPlusOne.val).toBe(17);
     });
+
+    it("is lazy: does not run until read", () => {
+      const s = signal(1);
+      const fn = vi.fn(() => s.val * 2);
+      const c = computed(fn);
+      expect(fn).not.toHaveBeenCalled();
+      s.val = 2;
+      expect(fn).not.toHaveBeenCalled();
+      expect(c.val).toBe(4);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it("caches its value between reads", () => {
+      const s = signal(1);
+      const fn = vi.fn(() => s.val + 1);
+      const c = computed(fn);
+      c.val;
+      c.val;
+      c.peek();
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it("recomputes a diamond once without exposing intermediate values", () => {
+      const a = signal(1);
+      const b = computed(() => a.val + 1);
+      const c = computed(() => a.val * 2);
+      const dFn = vi.fn(() => `${b.val}/${c.val}`);
+      const d = computed(dFn);
+      const seen = [];
+      effect(() => seen.push(d.val));
+      dFn.mockClear();
+
+      a.val = 2;
+      expect(dFn).toHaveBeenCalledTimes(1);
+      expect(seen).toEqual(["2/2", "3/4"]);
+    });
+
+    it("does not re-run dependents when the derived value is unchanged", () => {
+      const n = signal(2);
+      const isEven = computed(() => n.val % 2 === 0);
+      const fn = vi.fn(() => isEven.val);
+      effect(fn);
+      fn.mockClear();
+      n.val = 4;
+      expect(fn).not.toHaveBeenCalled();
+      n.val = 5;
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it("uses equals to stop unchanged derived objects from cascading", () => {
+      const items = signal([1, 2, 3]);
+      const evens = computed(() => items.val.filter((n) => n % 2 === 0), {
+        equals: "shallow",
+      });
+      const fn = vi.fn(() => evens.val);
+      effect(fn);
+      items.val = [1, 2, 3, 5];
+      expect(fn).toHaveBeenCalledTimes(1);
+      items.val = [2, 4];
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    it("notifies subscribers when the derived value changes", () => {
+      const s = signal(1);
+      const c = computed(() => s.val * 10);
+      const cb = vi.fn();
+      c.subscribe(cb);
+      s.val = 2;
+      expect(cb).toHaveBeenCalledTimes(1);
+      expect(c.peek()).toBe(20);
+    });
   });
 
   describe("batch()", () => {
@@ -174,6 +456,1251 @@ describe("reactive.js", () => {
       expect(a.val).toBe(1);
       expect(b.val).toBe(2);
     });
+
+    it("defers effects until the batch ends and runs them once", () => {
+      const a = signal(0);
+      const b = signal(0);
+      const fn = vi.fn(() => a.val + b.val);
+      effect(fn);
+      fn.mockClear();
+      batch(() => {
+        a.val = 1;
+        b.val = 2;
+        a.val = 3;
+        expect(fn).not.toHaveBeenCalled();
+      });
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it("flushes only when the outermost batch ends", () => {
+      const s = signal(0);
+      const cb = vi.fn();
+      s.subscribe(cb);
+      batch(() => {
+        batch(() => {
+          s.val = 1;
+        });
+        expect(cb).not.toHaveBeenCalled();
+        s.val = 2;
+      });
+      expect(cb).toHaveBeenCalledTimes(1);
+    });
+
+    it("still flushes writes made before an exception and rethrows", () => {
+      const s = signal(0);
+      const cb = vi.fn();
+      s.subscribe(cb);
+      expect(() =>
+        batch(() => {
+          s.val = 1;
+          throw new Error("boom");
+        }),
+      ).toThrow("boom");
+      expect(cb).toHaveBeenCalledTimes(1);
+
+      s.val = 2;
+      expect(cb).toHaveBeenCalledTimes(2);
+    });
+
+    it("returns the value of the batched function", () => {
+      expect(batch(() => 42)).toBe(42);
+    });
+  });
+
+  describe("untrack()", () => {
+    it("reads signals without subscribing the running effect", () => {
+      const a = signal(1);
+      const b = signal(2);
+      const fn = vi.fn(() => a.val + untrack(() => b.val));
+      effect(fn);
+      fn.mockClear();
+      b.val = 3;
+      expect(fn).not.toHaveBeenCalled();
+      a.val = 4;
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it("returns the value of the function", () => {
+      const s = signal("x");
+      expect(untrack(() => s.val)).toBe("x");
+    });
+  });
+
+  describe("onCleanup()", () => {
+    it("runs before each re-run and when the effect is stopped", () => {
+      const s = signal(0);
+      const log = [];
+      const stop = effect(() => {
+        const v = s.val;
+        log.push(`run ${v}`);
+        onCleanup(() => log.push(`cleanup ${v}`));
+      });
+      s.val = 1;
+      stop();
+      expect(log).toEqual(["run 0", "cleanup 0", "run 1", "cleanup 1"]);
+    });
+
+    it("is a no-op outside an effect or root", () => {
+      expect(() => onCleanup(() => {})).not.toThrow();
+    });
+  });
+
+  describe("createRoot()", () => {
+    it("returns the value of the function", () => {
+      expect(createRoot(() => "result")).toBe("result");
+    });
+
+    it("disposes effects created inside it", () => {
+      const s = signal(0);
+      const fn = vi.fn(() => s.val);
+      const dispose = createRoot((dispose) => {
+        effect(fn);
+        return dispose;
+      });
+      dispose();
+      fn.mockClear();
+      s.val = 1;
+      expect(fn).not.toHaveBeenCalled();
+    });
+
+    it("runs cleanups registered on the root", () => {
+      const cleanup = vi.fn();
+      createRoot((dispose) => {
+        onCleanup(cleanup);
+        dispose();
+      });
+      expect(cleanup).toHaveBeenCalledTimes(1);
+    });
+
+    it("disposes nested effects when their parent re-runs", () => {
+      const outer = signal(0);
+      const inner = signal(0);
+      const innerFn = vi.fn(() => inner.val);
+      createRoot(() => {
+        effect(() => {
+          outer.val;
+          effect(innerFn);
+        });
+      });
+      outer.val = 1;
+      innerFn.mockClear();
+      inner.val = 1;
+      expect(innerFn).toHaveBeenCalledTimes(1);
+    });
+
+    it("disposes computeds created inside it", () => {
+      const s = signal(1);
+      const fn = vi.fn(() => s.val * 2);
+      let c;
+      createRoot((dispose) => {
+        c = computed(fn);
+        expect(c.val).toBe(2);
+        dispose();
+      });
+      s.val = 5;
+      expect(c.val).toBe(2);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it("is not disposed with an enclosing effect", () => {
+      const trigger = signal(0);
+      const s = signal(0);
+      const fn = vi.fn(() => s.val);
+      effect(() => {
+        if (trigger.val === 0) createRoot(() => effect(fn));
+      });
+      trigger.val = 1;
+      fn.mockClear();
+      s.val = 1;
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("store()", () => {
+    it("reads and writes like the plain object", () => {
+      const state = store({ a: 1, nested: { b: 2 } });
+      state.a = 10;
+      state.nested.b = 20;
+      expect(state.a).toBe(10);
+      expect(state.nested.b).toBe(20);
+    });
+
+    it("re-runs only effects that read the changed property", () => {
+      const state = store({ a: 1, b: 2 });
+      const fnA = vi.fn(() => state.a);
+      const fnB = vi.fn(() => state.b);
+      effect(fnA);
+      effect(fnB);
+      state.a = 5;
+      expect(fnA).toHaveBeenCalledTimes(2);
+      expect(fnB).toHaveBeenCalledTimes(1);
+    });
+
+    it("does not notify when the same value is written", () => {
+      const state = store({ a: 1 });
+      const fn = vi.fn(() => state.a);
+      effect(fn);
+      state.a = 1;
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it("tracks nested objects", () => {
+      const state = store({ user: { name: "Alice" } });
+      const seen = [];
+      effect(() => seen.push(state.user.name));
+      state.user.name = "Bob";
+      state.user = { name: "Carol" };
+      expect(seen).toEqual(["Alice", "Bob", "Carol"]);
+    });
+
+    it("returns the same proxy for the same nested object", () => {
+      const state = store({ nested: {} });
+      expect(state.nested).toBe(state.nested);
+      expect(store(state)).toBe(state);
+    });
+
+    it("notifies key iteration when keys are added or deleted", () => {
+      const state = store({ a: 1 });
+      const seen = [];
+      effect(() => seen.push(Object.keys(state).join(",")));
+      state.b = 2;
+      delete state.a;
+      state.b = 3;
+      expect(seen).toEqual(["a", "a,b", "b"]);
+    });
+
+    it("push() notifies length once without re-running item readers", () => {
+      const state = store({ tasks: [{ done: false }] });
+      const lengthFn = vi.fn(() => state.tasks.length);
+      const firstFn = vi.fn(() => state.tasks[0].done);
+      effect(lengthFn);
+      effect(firstFn);
+      state.tasks.push({ done: false });
+      expect(lengthFn).toHaveBeenCalledTimes(2);
+      expect(firstFn).toHaveBeenCalledTimes(1);
+    });
+
+    it("toggling one item re-runs only readers of that item", () => {
+      const tasks = store([{ done: false }, { done: false }]);
+      const fn0 = vi.fn(() => tasks[0].done);
+      const fn1 = vi.fn(() => tasks[1].done);
+      effect(fn0);
+      effect(fn1);
+      tasks[1].done = true;
+      expect(fn0).toHaveBeenCalledTimes(1);
+      expect(fn1).toHaveBeenCalledTimes(2);
+    });
+
+    it("splice() notifies only shifted indices and length", () => {
+      const list = store(["a", "b", "c", "d"]);
+      const fns = [0, 1, 2].map((i) => vi.fn(() => list[i]));
+      fns.forEach((fn) => effect(fn));
+      list.splice(1, 1);
+      expect(list).toEqual(["a", "c", "d"]);
+      expect(fns[0]).toHaveBeenCalledTimes(1);
+      expect(fns[1]).toHaveBeenCalledTimes(2);
+      expect(fns[2]).toHaveBeenCalledTimes(2);
+    });
+
+    it("sort() notifies only indices whose value changed", () => {
+      const list = store([1, 3, 2]);
+      const fn0 = vi.fn(() => list[0]);
+      const fn1 = vi.fn(() => list[1]);
+      effect(fn0);
+      effect(fn1);
+      list.sort();
+      expect([...list]).toEqual([1, 2, 3]);
+      expect(fn0).toHaveBeenCalledTimes(1);
+      expect(fn1).toHaveBeenCalledTimes(2);
+    });
+
+    it("a mutator inside an effect does not subscribe it to length", () => {
+      const list = store([]);
+      const source = signal(0);
+      const fn = vi.fn(() => list.push(source.val));
+      effect(fn);
+      source.val = 1;
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect([...list]).toEqual([0, 1]);
+    });
+
+    it("truncating length notifies removed indices", () => {
+      const list = store(["a", "b"]);
+      const fn = vi.fn(() => list[1]);
+      effect(fn);
+      list.length = 1;
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    it("includes() finds both store items and their raw objects", () => {
+      const raw = { id: 1 };
+      const list = store([raw]);
+      expect(list.includes(raw)).toBe(true);
+      expect(list.indexOf(list[0])).toBe(0);
+    });
+
+    it("rejects non-plain values", () => {
+      expect(() => store(1)).toThrow(TypeError);
+      expect(() => store(new Date())).toThrow(TypeError);
+    });
+  });
+
+  describe("resource()", () => {
+    const deferred = () => {
+      let resolve, reject;
+      const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+      });
+      return { promise, resolve, reject };
+    };
+
+    it("fetches with the source value and exposes the result", async () => {
+      const id = signal(1);
+      const fetcher = vi.fn(async (value) => `user ${value}`);
+      const r = resource(id, fetcher);
+
+      expect(r.loading.val).toBe(true);
+      expect(r.state.val).toBe("pending");
+      await vi.waitFor(() => expect(r.state.val).toBe("ready"));
+      expect(fetcher).toHaveBeenCalledWith(
+        1,
+        expect.objectContaining({ refetching: false }),
+      );
+      expect(r.data.val).toBe("user 1");
+      expect(r.loading.val).toBe(false);
+    });
+
+    it("refetches when the source changes", async () => {
+      const id = signal(1);
+      const fetcher = vi.fn(async (value) => value * 10);
+      const r = resource(id, fetcher);
+      id.val = 2;
+      expect(r.state.val).toBe("pending");
+      await vi.waitFor(() => expect(r.data.val).toBe(20));
+      expect(fetcher).toHaveBeenCalledTimes(2);
+    });
+
+    it("aborts and ignores a stale response when the source changes", async () => {
+      const id = signal(1);
+      const calls = [];
+      const r = resource(id, (value, { signal }) => {
+        const d = deferred();
+        calls.push({ value, signal, ...d });
+        return d.promise;
+      });
+
+      id.val = 2;
+      expect(calls[0].signal.aborted).toBe(true);
+      expect(calls[1].signal.aborted).toBe(false);
+
+      calls[1].resolve("second");
+      calls[0].resolve("first");
+      await vi.waitFor(() => expect(r.state.val).toBe("ready"));
+      await Promise.resolve();
+      expect(r.data.val).toBe("second");
+    });
+
+    it("does not fetch while the source is null", () => {
+      const id = signal(null);
+      const fetcher = vi.fn(async () => "x");
+      const r = resource(id, fetcher);
+      expect(fetcher).not.toHaveBeenCalled();
+      expect(r.state.val).toBe("unresolved");
+      expect(r.loading.val).toBe(false);
+    });
+
+    it("settles state when the source turns null mid-request", async () => {
+      const id = signal(1);
+      const { promise, resolve } = deferred();
+      const r = resource(id, () => promise);
+      expect(r.state.val).toBe("pending");
+      id.val = null;
+      expect(r.state.val).toBe("unresolved");
+      expect(r.loading.val).toBe(false);
+
+      resolve("late");
+      await promise;
+      expect(r.state.val).toBe("unresolved");
+
+      r.mutate("kept");
+      id.val = 2;
+      expect(r.state.val).toBe("refreshing");
+      id.val = false;
+      expect(r.state.val).toBe("ready");
+    });
+
+    it("accepts a getter as source", async () => {
+      const a = signal(1);
+      const b = signal(2);
+      const fetcher = vi.fn(async (sum) => sum);
+      const r = resource(() => a.val + b.val, fetcher);
+      b.val = 5;
+      await vi.waitFor(() => expect(r.data.val).toBe(6));
+    });
+
+    it("exposes errors through error and state", async () => {
+      const fail = new Error("nope");
+      const r = resource(signal(1), async () => {
+        throw fail;
+      });
+      await vi.waitFor(() => expect(r.state.val).toBe("errored"));
+      expect(r.error.val).toBe(fail);
+      expect(r.loading.val).toBe(false);
+    });
+
+    it("reports refreshing while reloading with data present", async () => {
+      const r = resource(signal(1), async () => "data");
+      await r.refetch();
+      const pending = r.refetch();
+      expect(r.state.val).toBe("refreshing");
+      await pending;
+      expect(r.state.val).toBe("ready");
+    });
+
+    it("mutate() overwrites data locally", () => {
+      const r = resource(signal(null), async () => "x", { initial: [] });
+      r.mutate(["optimistic"]);
+      expect(r.data.val).toEqual(["optimistic"]);
+      expect(r.state.val).toBe("ready");
+    });
+
+    it("dispose() aborts the request in flight and stops tracking", () => {
+      const id = signal(1);
+      let aborted;
+      const fetcher = vi.fn((value, { signal }) => {
+        aborted = signal;
+        return new Promise(() => {});
+      });
+      const r = resource(id, fetcher);
+      r.dispose();
+      expect(aborted.aborted).toBe(true);
+      id.val = 2;
+      expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("persistedSignal()", () => {
+    beforeEach(() => {
+      localStorage.clear();
+      sessionStorage.clear();
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    const stored = (key, area = localStorage) =>
+      JSON.parse(area.getItem(key));
+
+    it("uses the initial value when nothing is stored", () => {
+      const s = persistedSignal("theme", "light");
+      expect(s.val).toBe("light");
+      s.dispose();
+    });
+
+    it("hydrates from storage", () => {
+      localStorage.setItem("theme", JSON.stringify({ version: 0, value: "dark" }));
+      const s = persistedSignal("theme", "light");
+      expect(s.val).toBe("dark");
+      s.dispose();
+    });
+
+    it("writes changes back after the debounce delay", () => {
+      const s = persistedSignal("count", 0, { debounce: 50 });
+      s.val = 1;
+      s.val = 2;
+      expect(localStorage.getItem("count")).toBeNull();
+      vi.advanceTimersByTime(50);
+      expect(stored("count")).toEqual({ version: 0, value: 2 });
+      s.dispose();
+    });
+
+    it("uses sessionStorage when asked", () => {
+      const s = persistedSignal("tab", "a", { storage: "session" });
+      s.val = "b";
+      vi.runAllTimers();
+      expect(stored("tab", sessionStorage).value).toBe("b");
+      expect(localStorage.getItem("tab")).toBeNull();
+      s.dispose();
+    });
+
+    it("applies serialize and deserialize", () => {
+      const s = persistedSignal("tags", new Set(["a"]), {
+        serialize: (set) => [...set],
+        deserialize: (arr) => new Set(arr),
+      });
+      s.val = new Set(["a", "b"]);
+      vi.runAllTimers();
+      expect(stored("tags").value).toEqual(["a", "b"]);
+      s.dispose();
+
+      const again = persistedSignal("tags", new Set(), {
+        deserialize: (arr) => new Set(arr),
+      });
+      expect(again.val).toEqual(new Set(["a", "b"]));
+      again.dispose();
+    });
+
+    it("migrates values stored under an older version", () => {
+      localStorage.setItem(
+        "filters",
+        JSON.stringify({ version: 1, value: { state: "open" } }),
+      );
+      const migrate = vi.fn((old) => ({ status: old.state }));
+      const s = persistedSignal("filters", {}, { version: 2, migrate });
+      expect(migrate).toHaveBeenCalledWith({ state: "open" }, 1);
+      expect(s.val).toEqual({ status: "open" });
+      s.dispose();
+    });
+
+    it("discards values from another version without migrate", () => {
+      localStorage.setItem("filters", JSON.stringify({ version: 1, value: "x" }));
+      const s = persistedSignal("filters", "default", { version: 2 });
+      expect(s.val).toBe("default");
+      s.dispose();
+    });
+
+    it("falls back to the initial value on corrupt data", () => {
+      const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+      localStorage.setItem("broken", "{not json");
+      const s = persistedSignal("broken", 1);
+      expect(s.val).toBe(1);
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+      s.dispose();
+    });
+
+    it("updates when another tab changes the key", () => {
+      const s = persistedSignal("theme", "light");
+      const newValue = JSON.stringify({ version: 0, value: "dark" });
+      localStorage.setItem("theme", newValue);
+      window.dispatchEvent(
+        new StorageEvent("storage", {
+          key: "theme",
+          newValue,
+          storageArea: localStorage,
+        }),
+      );
+      expect(s.val).toBe("dark");
+
+      const setItem = vi.spyOn(Storage.prototype, "setItem");
+      vi.runAllTimers();
+      expect(setItem).not.toHaveBeenCalled();
+      setItem.mockRestore();
+      s.dispose();
+    });
+
+    it("resets without writing back when another tab removes the key", () => {
+      localStorage.setItem("k", JSON.stringify({ version: 0, value: 5 }));
+      const s = persistedSignal("k", 1);
+      localStorage.removeItem("k");
+      window.dispatchEvent(
+        new StorageEvent("storage", {
+          key: "k",
+          newValue: null,
+          storageArea: localStorage,
+        }),
+      );
+      expect(s.val).toBe(1);
+      vi.runAllTimers();
+      expect(localStorage.getItem("k")).toBeNull();
+
+      s.val = 2;
+      vi.runAllTimers();
+      expect(stored("k").value).toBe(2);
+      s.dispose();
+    });
+
+    it("dispose() flushes a pending write and stops syncing", () => {
+      const s = persistedSignal("count", 0);
+      s.val = 5;
+      s.dispose();
+      expect(stored("count").value).toBe(5);
+
+      window.dispatchEvent(
+        new StorageEvent("storage", {
+          key: "count",
+          newValue: JSON.stringify({ version: 0, value: 9 }),
+          storageArea: localStorage,
+        }),
+      );
+      expect(s.val).toBe(5);
+    });
+  });
+
+  describe("inspect()", () => {
+    it("reports names, kinds and values", () => {
+      const count = signal(1, { name: "count" });
+      const doubled = computed(() => count.val * 2, { name: "doubled" });
+      doubled.val;
+      expect(inspect(count)).toMatchObject({
+        name: "count",
+        kind: "signal",
+        value: 1,
+      });
+      expect(inspect(doubled)).toMatchObject({
+        name: "doubled",
+        kind: "computed",
+        value: 2,
+        runs: 1,
+      });
+    });
+
+    it("generates a name for unnamed nodes", () => {
+      expect(inspect(signal(0)).name).toMatch(/^signal#\d+$/);
+    });
+
+    it("lists subscribers of a signal and dependencies of an effect", () => {
+      const a = signal(1, { name: "a" });
+      const b = signal(2, { name: "b" });
+      const stop = effect(() => a.val + b.val, { name: "sum" });
+
+      expect(inspect(stop).dependencies.map((d) => d.name)).toEqual(["a", "b"]);
+      expect(inspect(a).subscribers.map((d) => d.name)).toEqual(["sum"]);
+      expect(inspect(a).subscribers[0].target).toBe(stop);
+
+      stop();
+      expect(inspect(a).subscribers).toEqual([]);
+      expect(inspect(stop).disposed).toBe(true);
+    });
+
+    it("names subscribe() listeners after their source", () => {
+      const a = signal(0, { name: "a" });
+      a.subscribe(() => {});
+      expect(inspect(a).subscribers[0].name).toBe("subscribe(a)");
+    });
+
+    it("counts effect runs", () => {
+      const s = signal(0);
+      const stop = effect(() => s.val);
+      s.val = 1;
+      s.val = 2;
+      expect(inspect(stop).runs).toBe(3);
+    });
+
+    it("does not recompute a stale computed", () => {
+      const s = signal(1);
+      const fn = vi.fn(() => s.val);
+      const c = computed(fn);
+      c.val;
+      s.val = 2;
+      expect(inspect(c)).toMatchObject({ value: 1, stale: true });
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it("throws for values that are not reactive", () => {
+      expect(() => inspect({})).toThrow(TypeError);
+    });
+  });
+
+  describe("onWrite()", () => {
+    it("reports every changing write with old and new values", () => {
+      const hook = vi.fn();
+      const off = onWrite(hook);
+      const s = signal(1, { name: "s" });
+      s.val = 2;
+      s.val = 2;
+      off();
+      s.val = 3;
+
+      expect(hook).toHaveBeenCalledTimes(1);
+      expect(hook).toHaveBeenCalledWith(
+        expect.objectContaining({ name: "s", kind: "signal", prev: 1, next: 2 }),
+      );
+    });
+
+    it("reports mutate() calls", () => {
+      const hook = vi.fn();
+      const off = onWrite(hook);
+      const list = signal([]);
+      list.mutate((arr) => arr.push(1));
+      off();
+      expect(hook).toHaveBeenCalledTimes(1);
+    });
+
+    it("reports store property writes and deletes", () => {
+      const hook = vi.fn();
+      const state = store({ a: 1 });
+      const off = onWrite(hook);
+      state.a = 2;
+      state.a = 2;
+      delete state.a;
+      off();
+
+      const calls = hook.mock.calls.map(([info]) => info);
+      expect(calls).toEqual([
+        expect.objectContaining({ key: "a", target: state, prev: 1, next: 2 }),
+        expect.objectContaining({ key: "a", prev: 2, next: undefined }),
+      ]);
+    });
+
+    it("reports reactiveMap() and reactiveSet() changes", () => {
+      const hook = vi.fn();
+      const map = reactiveMap([["a", 1]]);
+      const set = reactiveSet();
+      const off = onWrite(hook);
+      map.set("a", 2);
+      map.delete("a");
+      set.add("x");
+      set.clear();
+      off();
+
+      const calls = hook.mock.calls.map(([info]) => info);
+      expect(calls).toEqual([
+        expect.objectContaining({ key: "a", target: map, prev: 1, next: 2 }),
+        expect.objectContaining({ key: "a", prev: 2, next: undefined }),
+        expect.objectContaining({ key: "x", target: set, next: "x" }),
+        expect.objectContaining({ key: "x", prev: "x", next: undefined }),
+      ]);
+    });
+  });
+
+  describe("watch()", () => {
+    it("calls fn with next and previous values on change", () => {
+      const s = signal(1);
+      const fn = vi.fn();
+      watch(s, fn);
+      expect(fn).not.toHaveBeenCalled();
+      s.val = 2;
+      s.val = 3;
+      expect(fn.mock.calls).toEqual([
+        [2, 1],
+        [3, 2],
+      ]);
+    });
+
+    it("calls fn right away with immediate", () => {
+      const s = signal("a");
+      const fn = vi.fn();
+      watch(s, fn, { immediate: true });
+      expect(fn).toHaveBeenCalledWith("a", undefined);
+    });
+
+    it("stops after the first call with once", () => {
+      const s = signal(0);
+      const fn = vi.fn();
+      watch(s, fn, { once: true });
+      s.val = 1;
+      s.val = 2;
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it("stops after the immediate call with immediate and once", () => {
+      const s = signal(0);
+      const fn = vi.fn();
+      watch(s, fn, { immediate: true, once: true });
+      s.val = 1;
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it("does not track signals read inside fn", () => {
+      const s = signal(0);
+      const other = signal(0);
+      const fn = vi.fn(() => other.val);
+      watch(s, fn);
+      s.val = 1;
+      other.val = 1;
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it("skips getter sources that recompute to the same value", () => {
+      const n = signal(1);
+      const fn = vi.fn();
+      watch(() => n.val > 0, fn);
+      n.val = 2;
+      expect(fn).not.toHaveBeenCalled();
+      n.val = -1;
+      expect(fn).toHaveBeenCalledWith(false, true);
+    });
+
+    it("returns a stop function", () => {
+      const s = signal(0);
+      const fn = vi.fn();
+      const stop = watch(s, fn);
+      stop();
+      s.val = 1;
+      expect(fn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("debounced() / throttled() / previous()", () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("debounced() updates once the source settles", () => {
+      const search = signal("");
+      const query = debounced(search, 300);
+      search.val = "v";
+      vi.advanceTimersByTime(200);
+      search.val = "va";
+      vi.advanceTimersByTime(200);
+      expect(query.val).toBe("");
+      vi.advanceTimersByTime(100);
+      expect(query.val).toBe("va");
+    });
+
+    it("throttled() passes the first change and a trailing update", () => {
+      const pos = signal(0);
+      const slow = throttled(pos, 100);
+      pos.val = 1;
+      expect(slow.val).toBe(1);
+      pos.val = 2;
+      pos.val = 3;
+      expect(slow.val).toBe(1);
+      vi.advanceTimersByTime(100);
+      expect(slow.val).toBe(3);
+    });
+
+    it("previous() holds the value before the latest change", () => {
+      const s = signal("a");
+      const prev = previous(s);
+      expect(prev.val).toBeUndefined();
+      s.val = "b";
+      expect(prev.val).toBe("a");
+      s.val = "c";
+      expect(prev.val).toBe("b");
+    });
+
+    it("stop with their owner", () => {
+      const s = signal(0);
+      let slow;
+      createRoot((dispose) => {
+        slow = debounced(s, 50);
+        expect(slow.val).toBe(0);
+        s.val = 1;
+        dispose();
+      });
+      vi.advanceTimersByTime(50);
+      expect(slow.val).toBe(0);
+    });
+
+    it("stop via dispose() outside an owner", () => {
+      const s = signal(0);
+      const helpers = [debounced(s, 50), throttled(s, 50), previous(s, "none")];
+      s.val = 1;
+      for (const h of helpers) h.dispose();
+      const before = helpers.map((h) => h.val);
+      s.val = 2;
+      vi.advanceTimersByTime(100);
+      expect(helpers.map((h) => h.val)).toEqual(before);
+      expect(inspect(s).subscribers).toEqual([]);
+    });
+  });
+
+  describe("history()", () => {
+    it("undoes and redoes signal writes", () => {
+      const s = signal("a");
+      const h = history(s);
+      s.val = "b";
+      s.val = "c";
+      h.undo();
+      expect(s.val).toBe("b");
+      h.undo();
+      expect(s.val).toBe("a");
+      h.redo();
+      expect(s.val).toBe("b");
+    });
+
+    it("records and undoes in-place edits made with mutate()", () => {
+      const list = signal(["a"]);
+      const h = history(list);
+      list.mutate((items) => items.push("b"));
+      expect(h.canUndo.val).toBe(true);
+      list.mutate((items) => items.push("c"));
+      h.undo();
+      expect(list.val).toEqual(["a", "b"]);
+      h.undo();
+      expect(list.val).toEqual(["a"]);
+      list.mutate((items) => items.push("x"));
+      h.undo();
+      expect(list.val).toEqual(["a"]);
+    });
+
+    it("exposes canUndo and canRedo signals", () => {
+      const s = signal(0);
+      const h = history(s);
+      expect(h.canUndo.val).toBe(false);
+      s.val = 1;
+      expect(h.canUndo.val).toBe(true);
+      expect(h.canRedo.val).toBe(false);
+      h.undo();
+      expect(h.canUndo.val).toBe(false);
+      expect(h.canRedo.val).toBe(true);
+    });
+
+    it("drops the redo stack on a new write", () => {
+      const s = signal(0);
+      const h = history(s);
+      s.val = 1;
+      h.undo();
+      s.val = 2;
+      expect(h.canRedo.val).toBe(false);
+      h.redo();
+      expect(s.val).toBe(2);
+    });
+
+    it("records writes inside one batch as one step", () => {
+      const s = signal(0);
+      const h = history(s);
+      batch(() => {
+        s.val = 1;
+        s.val = 2;
+      });
+      h.undo();
+      expect(s.val).toBe(0);
+      expect(h.canUndo.val).toBe(false);
+    });
+
+    it("keeps at most limit steps", () => {
+      const s = signal(0);
+      const h = history(s, { limit: 2 });
+      s.val = 1;
+      s.val = 2;
+      s.val = 3;
+      h.undo();
+      h.undo();
+      h.undo();
+      expect(s.val).toBe(1);
+    });
+
+    it("merges changes closer than coalesceMs", () => {
+      vi.useFakeTimers();
+      const s = signal("");
+      const h = history(s, { coalesceMs: 500 });
+      s.val = "h";
+      vi.advanceTimersByTime(100);
+      s.val = "hi";
+      vi.advanceTimersByTime(1000);
+      s.val = "hi!";
+      h.undo();
+      expect(s.val).toBe("hi");
+      h.undo();
+      expect(s.val).toBe("");
+      vi.useRealTimers();
+    });
+
+    it("undoes store changes, grouping a batch into one step", () => {
+      const board = store({ todo: ["a", "b"], done: [] });
+      const h = history(board);
+      batch(() => {
+        board.todo.splice(0, 1);
+        board.done.push("a");
+      });
+      board.title = "Board";
+
+      h.undo();
+      expect(board.title).toBeUndefined();
+      expect("title" in board).toBe(false);
+      h.undo();
+      expect(board.todo).toEqual(["a", "b"]);
+      expect(board.done).toEqual([]);
+      h.redo();
+      expect(board.todo).toEqual(["b"]);
+      expect(board.done).toEqual(["a"]);
+    });
+
+    it("restores stores without re-running unaffected readers", () => {
+      const state = store({ a: { n: 1 }, b: { n: 1 } });
+      const h = history(state);
+      const readB = vi.fn(() => state.b.n);
+      effect(readB);
+      state.a.n = 2;
+      h.undo();
+      expect(state.a.n).toBe(1);
+      expect(readB).toHaveBeenCalledTimes(1);
+    });
+
+    it("clear() forgets steps and dispose() stops recording", () => {
+      const s = signal(0);
+      const h = history(s);
+      s.val = 1;
+      h.clear();
+      expect(h.canUndo.val).toBe(false);
+      h.dispose();
+      s.val = 2;
+      expect(h.canUndo.val).toBe(false);
+    });
+  });
+
+  describe("reactiveMap()", () => {
+    it("behaves like a Map", () => {
+      const map = reactiveMap([["a", 1]]);
+      map.set("b", 2);
+      expect(map).toBeInstanceOf(Map);
+      expect(map.get("a")).toBe(1);
+      expect(map.size).toBe(2);
+      expect([...map]).toEqual([
+        ["a", 1],
+        ["b", 2],
+      ]);
+    });
+
+    it("re-runs get() readers only for their own key", () => {
+      const map = reactiveMap([
+        ["a", 1],
+        ["b", 2],
+      ]);
+      const readA = vi.fn(() => map.get("a"));
+      effect(readA);
+      map.set("b", 3);
+      map.delete("b");
+      expect(readA).toHaveBeenCalledTimes(1);
+      map.set("a", 5);
+      expect(readA).toHaveBeenCalledTimes(2);
+    });
+
+    it("drops per-key tracking of removed entries nothing reads", () => {
+      const key = {};
+      const map = reactiveMap([[key, 1]]);
+      const stop = effect(() => map.get(key));
+      stop();
+      const del = vi.spyOn(Map.prototype, "delete");
+      map.delete(key);
+      // The Map.delete() calls made on the internal per-key node map.
+      const released = del.mock.calls.filter(
+        (_, i) => del.mock.contexts[i] !== map,
+      );
+      del.mockRestore();
+      expect(released).toEqual([[key]]);
+    });
+
+    it("keeps notifying readers of a key that was deleted and re-added", () => {
+      const key = {};
+      const map = reactiveMap([[key, 1]]);
+      const seen = [];
+      effect(() => seen.push(map.has(key)));
+      map.delete(key);
+      map.set(key, 2);
+      map.clear();
+      map.set(key, 3);
+      expect(seen).toEqual([true, false, true, false, true]);
+    });
+
+    it("tracks has() for keys that do not exist yet", () => {
+      const map = reactiveMap();
+      const seen = [];
+      effect(() => seen.push(map.has("x")));
+      map.set("y", 1);
+      map.set("x", 1);
+      expect(seen).toEqual([false, true]);
+    });
+
+    it("does not notify when the same value is set", () => {
+      const map = reactiveMap([["a", 1]]);
+      const fn = vi.fn(() => [...map.values()]);
+      effect(fn);
+      map.set("a", 1);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it("re-runs iteration on any change but keys()/size only on add or delete", () => {
+      const map = reactiveMap([["a", 1]]);
+      const values = vi.fn(() => [...map.values()]);
+      const keys = vi.fn(() => [...map.keys()]);
+      const size = vi.fn(() => map.size);
+      effect(values);
+      effect(keys);
+      effect(size);
+
+      map.set("a", 2);
+      expect(values).toHaveBeenCalledTimes(2);
+      expect(keys).toHaveBeenCalledTimes(1);
+      expect(size).toHaveBeenCalledTimes(1);
+
+      map.set("b", 1);
+      expect(keys).toHaveBeenCalledTimes(2);
+      expect(size).toHaveBeenCalledTimes(2);
+    });
+
+    it("clear() notifies every key and iteration once", () => {
+      const map = reactiveMap([
+        ["a", 1],
+        ["b", 2],
+      ]);
+      const readA = vi.fn(() => map.get("a"));
+      const each = vi.fn(() => map.forEach(() => {}));
+      effect(readA);
+      effect(each);
+      map.clear();
+      expect(readA).toHaveBeenCalledTimes(2);
+      expect(each).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("reactiveSet()", () => {
+    it("behaves like a Set", () => {
+      const set = reactiveSet([1, 2]);
+      set.add(3);
+      expect(set).toBeInstanceOf(Set);
+      expect(set.has(3)).toBe(true);
+      expect([...set]).toEqual([1, 2, 3]);
+    });
+
+    it("re-runs has() readers only for their own value", () => {
+      const selected = reactiveSet();
+      const hasA = vi.fn(() => selected.has("a"));
+      effect(hasA);
+      selected.add("b");
+      expect(hasA).toHaveBeenCalledTimes(1);
+      selected.add("a");
+      expect(hasA).toHaveBeenCalledTimes(2);
+      selected.delete("a");
+      expect(hasA).toHaveBeenCalledTimes(3);
+    });
+
+    it("re-runs size and iteration on add and delete", () => {
+      const set = reactiveSet();
+      const seen = [];
+      effect(() => seen.push(set.size));
+      set.add(1);
+      set.add(1);
+      set.delete(1);
+      expect(seen).toEqual([0, 1, 0]);
+    });
+  });
+
+  describe("interop", () => {
+    const observableKey = Symbol.observable || "@@observable";
+
+    it("signals expose an Observable through Symbol.observable", () => {
+      const s = signal(1);
+      const observable = s[observableKey]();
+      expect(observable[observableKey]()).toBe(observable);
+
+      const seen = [];
+      const sub = observable.subscribe({ next: (v) => seen.push(v) });
+      s.val = 2;
+      sub.unsubscribe();
+      s.val = 3;
+      expect(seen).toEqual([1, 2]);
+    });
+
+    it("computeds accept a plain function observer", () => {
+      const s = signal(1);
+      const doubled = computed(() => s.val * 2);
+      const seen = [];
+      doubled[observableKey]().subscribe((v) => seen.push(v));
+      s.val = 2;
+      expect(seen).toEqual([2, 4]);
+    });
+
+    it("signals can be consumed with for await", async () => {
+      const s = signal(0);
+      const seen = [];
+      const done = (async () => {
+        for await (const v of s) {
+          seen.push(v);
+          if (v === 2) break;
+        }
+      })();
+      await Promise.resolve();
+      s.val = 1;
+      s.val = 2;
+      await done;
+      expect(seen).toEqual([0, 1, 2]);
+      expect(inspect(s).subscribers).toEqual([]);
+    });
+
+    it("fromObservable() follows emissions until disposed", () => {
+      const listeners = new Set();
+      const observable = {
+        subscribe(observer) {
+          listeners.add(observer);
+          return { unsubscribe: () => listeners.delete(observer) };
+        },
+      };
+      const s = fromObservable(observable, "init");
+      expect(s.val).toBe("init");
+      listeners.forEach((o) => o.next("a"));
+      expect(s.val).toBe("a");
+      s.dispose();
+      expect(listeners.size).toBe(0);
+    });
+
+    it("fromObservable() uses the Symbol.observable interop when present", () => {
+      const source = signal(5);
+      const s = fromObservable({ [observableKey]: () => source[observableKey]() });
+      expect(s.val).toBe(5);
+      source.val = 6;
+      expect(s.val).toBe(6);
+    });
+
+    it("fromEventTarget() stores mapped DOM events", () => {
+      const input = document.createElement("input");
+      const value = fromEventTarget(input, "input", {
+        initial: "",
+        map: (e) => e.target.value,
+      });
+      input.value = "hi";
+      input.dispatchEvent(new Event("input"));
+      expect(value.val).toBe("hi");
+
+      value.dispose();
+      input.value = "bye";
+      input.dispatchEvent(new Event("input"));
+      expect(value.val).toBe("hi");
+    });
+
+    it("fromEventTarget() accepts emitters with on() and is disposed with its owner", () => {
+      const handlers = new Set();
+      const socket = {
+        on: (event, fn) => {
+          handlers.add(fn);
+          return () => handlers.delete(fn);
+        },
+      };
+      let msg;
+      createRoot((dispose) => {
+        msg = fromEventTarget(socket, "chat");
+        handlers.forEach((fn) => fn({ text: "hello" }));
+        dispose();
+      });
+      expect(msg.val).toEqual({ text: "hello" });
+      expect(handlers.size).toBe(0);
+    });
+
+    it("fromPromise() takes the resolved value", async () => {
+      const s = fromPromise(Promise.resolve("done"), "pending");
+      expect(s.val).toBe("pending");
+      await vi.waitFor(() => expect(s.val).toBe("done"));
+    });
+
+    it("fromPromise() exposes a rejection on error", async () => {
+      const fail = new Error("nope");
+      const s = fromPromise(Promise.reject(fail), null);
+      await vi.waitFor(() => expect(s.error.val).toBe(fail));
+      expect(s.val).toBeNull();
+    });
+
+    it("until() resolves once the predicate holds", async () => {
+      const s = signal(0);
+      const done = until(s, (v) => v > 1);
+      s.val = 1;
+      s.val = 2;
+      await expect(done).resolves.toBe(2);
+      expect(inspect(s).subscribers).toEqual([]);
+    });
+
+    it("until() resolves right away when already satisfied", async () => {
+      await expect(until(signal("ready"))).resolves.toBe("ready");
+    });
+
+    it("until() rejects after the timeout", async () => {
+      vi.useFakeTimers();
+      const s = signal(false);
+      const done = until(s, Boolean, { timeout: 100 });
+      vi.advanceTimersByTime(100);
+      await expect(done).rejects.toThrow("timed out after 100ms");
+      expect(inspect(s).subscribers).toEqual([]);
+      vi.useRealTimers();
+    });
   });
 
   describe("when()", () => {
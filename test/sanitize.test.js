@@ -0,0 +1,306 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  sanitize,
+  unsafeHTML,
+  configureHTML,
+  toMarkup,
+  setHTML,
+} from "../src/sanitize.js";
+import { Q } from "../src/dom.js";
+import { html, render } from "../src/template.js";
+import { bindHtml, bindList, bindOptions } from "../src/bind.js";
+import { tag } from "../src/ui.js";
+import { options, select, radios, rows, optgroups } from "../src/utils.js";
+import { signal } from "../src/reactive.js";
+
+const XSS = `<img src="x" onerror="alert(1)"><script>alert(2)</script>`;
+
+describe("sanitize.js", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `<div id="box"></div><select id="sel"></select>`;
+  });
+
+  afterEach(() => {
+    configureHTML({ mode: "raw", allow: {}, trustedTypes: false });
+    vi.unstubAllGlobals();
+  });
+
+  // ── sanitize() ────────────────────────────────────────────────────────────
+
+  describe("sanitize()", () => {
+    it("keeps allowed tags and attributes", () => {
+      const html = `<p class="a" data-id="1" aria-label="x"><b>hi</b> <a href="/x" title="t">link</a></p>`;
+      expect(sanitize(html)).toBe(html);
+    });
+
+    it("drops scripts, styles and frames with their content", () => {
+      expect(
+        sanitize(
+          `a<script>x()</script><style>p{}</style><iframe src="/"></iframe>b`,
+        ),
+      ).toBe("ab");
+    });
+
+    it("removes event handler attributes", () => {
+      expect(sanitize(XSS)).toBe(`<img src="x">`);
+      expect(sanitize(`<b onclick="x()" onmouseover="y()">b</b>`)).toBe(
+        "<b>b</b>",
+      );
+    });
+
+    it("removes dangerous URLs, including obfuscated schemes", () => {
+      expect(sanitize(`<a href="javascript:alert(1)">x</a>`)).toBe("<a>x</a>");
+      expect(sanitize(`<a href="java\tscript:alert(1)">x</a>`)).toBe(
+        "<a>x</a>",
+      );
+      expect(sanitize(`<a href=" JAVASCRIPT:alert(1)">x</a>`)).toBe(
+        "<a>x</a>",
+      );
+      expect(sanitize(`<img src="data:text/html,x">`)).toBe("<img>");
+    });
+
+    it("keeps http(s), mailto, tel and relative URLs", () => {
+      for (const url of ["https://a.b/c", "mailto:a@b.c", "tel:123", "../x?y#z"]) {
+        expect(sanitize(`<a href="${url}">x</a>`)).toBe(`<a href="${url}">x</a>`);
+      }
+    });
+
+    it("unwraps unknown tags but keeps their text", () => {
+      expect(sanitize(`<custom-el><b>x</b></custom-el><font>y</font>`)).toBe(
+        "<b>x</b>y",
+      );
+    });
+
+    it("removes comments", () => {
+      expect(sanitize(`a<!-- hidden -->b`)).toBe("ab");
+    });
+
+    it("accepts additions to the allowlists", () => {
+      expect(
+        sanitize(`<my-chip kind="x">c</my-chip>`, {
+          tags: ["my-chip"],
+          attributes: ["kind"],
+        }),
+      ).toBe(`<my-chip kind="x">c</my-chip>`);
+    });
+
+    it("applies allowlist additions from configureHTML()", () => {
+      configureHTML({ allow: { tags: ["my-chip"] } });
+      expect(sanitize(`<my-chip>c</my-chip>`)).toBe("<my-chip>c</my-chip>");
+    });
+  });
+
+  // ── modes ─────────────────────────────────────────────────────────────────
+
+  describe("configureHTML()", () => {
+    it("rejects unknown modes", () => {
+      expect(() => configureHTML({ mode: "loose" })).toThrow(TypeError);
+    });
+
+    it("raw mode leaves strings untouched", () => {
+      expect(toMarkup("<b onclick=x>y</b>")).toBe("<b onclick=x>y</b>");
+    });
+
+    it("sanitize mode sanitizes strings", () => {
+      configureHTML({ mode: "sanitize" });
+      expect(toMarkup(XSS)).toBe(`<img src="x">`);
+    });
+
+    it("escape mode escapes strings", () => {
+      configureHTML({ mode: "escape" });
+      expect(toMarkup("<b>&</b>")).toBe("&lt;b&gt;&amp;&lt;/b&gt;");
+    });
+
+    it("unsafeHTML() passes through in every mode", () => {
+      for (const mode of ["raw", "sanitize", "escape"]) {
+        configureHTML({ mode });
+        expect(toMarkup(unsafeHTML("<b onclick=x>y</b>"))).toBe(
+          "<b onclick=x>y</b>",
+        );
+      }
+    });
+  });
+
+  describe("HTML sinks", () => {
+    it("Q().html() follows the mode", () => {
+      configureHTML({ mode: "sanitize" });
+      Q("#box").html(XSS);
+      expect(document.querySelector("#box").innerHTML).toBe(`<img src="x">`);
+
+      configureHTML({ mode: "escape" });
+      Q("#box").html("<b>x</b>");
+      expect(document.querySelector("#box").textContent).toBe("<b>x</b>");
+
+      Q("#box").html(unsafeHTML("<b>x</b>"));
+      expect(document.querySelector("#box b").textContent).toBe("x");
+    });
+
+    it("bindHtml() follows the mode", () => {
+      configureHTML({ mode: "sanitize" });
+      const s = signal(XSS);
+      bindHtml("#box", s);
+      expect(document.querySelector("#box script")).toBeNull();
+      expect(document.querySelector("#box img").hasAttribute("onerror")).toBe(
+        false,
+      );
+    });
+
+    it("bindList() escapes user data in escape mode", () => {
+      configureHTML({ mode: "escape" });
+      const tasks = signal([{ name: "<script>x()</script>" }]);
+      bindList("#box", tasks, (t) => t.name);
+      const box = document.querySelector("#box");
+      expect(box.querySelector("script")).toBeNull();
+      expect(box.textContent).toBe("<script>x()</script>");
+    });
+
+    it("bindList() keeps unsafeHTML() rows as markup", () => {
+      configureHTML({ mode: "escape" });
+      const tasks = signal(["a", "b"]);
+      bindList("#box", tasks, (t) => unsafeHTML(`<li>${t}</li>`));
+      expect(document.querySelectorAll("#box li").length).toBe(2);
+    });
+
+    it("bindList() sanitizes rows and the empty state", () => {
+      configureHTML({ mode: "sanitize" });
+      const tasks = signal([]);
+      bindList("#box", tasks, (t) => t, `<p onclick="x()">none</p>`);
+      expect(document.querySelector("#box").innerHTML).toBe("<p>none</p>");
+      tasks.val = [XSS];
+      expect(document.querySelector("#box").innerHTML).toBe(`<img src="x">`);
+    });
+
+    it("tag().html() follows the mode", () => {
+      configureHTML({ mode: "sanitize" });
+      const el = tag("div").html(XSS).render();
+      expect(el.elt.innerHTML).toBe(`<img src="x">`);
+    });
+  });
+
+  // ── template helpers ──────────────────────────────────────────────────────
+
+  describe("template helpers", () => {
+    const evil = `"><script>x()</script>`;
+
+    it("interpolate values as-is in raw mode", () => {
+      expect(options([{ id: 1, name: "<b>" }], "id", "name")).toBe(
+        `<option value="1"><b></option>`,
+      );
+    });
+
+    it("escape values outside raw mode", () => {
+      configureHTML({ mode: "escape" });
+      const list = [{ id: evil, name: evil, label: evil }];
+      const escaped = "&quot;&gt;&lt;script&gt;x()&lt;/script&gt;";
+
+      expect(String(options(list, "id", "name"))).toBe(
+        `<option value="${escaped}">${escaped}</option>`,
+      );
+      expect(String(radios(list, "n"))).toContain(`value="${escaped}"`);
+      expect(String(rows(list, ["name"]))).toBe(
+        `<tr><td>${escaped}</td></tr>`,
+      );
+      expect(String(optgroups([{ label: evil, items: [] }]))).toBe(
+        `<optgroup label="${escaped}"></optgroup>`,
+      );
+      expect(String(select([], "id", "name", evil))).toBe(
+        `<option value="">${escaped}</option>`,
+      );
+    });
+
+    it("keep unsafeHTML() values", () => {
+      configureHTML({ mode: "escape" });
+      const list = [{ id: 1, name: unsafeHTML("<b>x</b>") }];
+      expect(String(options(list, "id", "name"))).toBe(
+        `<option value="1"><b>x</b></option>`,
+      );
+    });
+
+    it("render as markup through the sinks in escape mode", () => {
+      configureHTML({ mode: "escape" });
+      bindOptions("#sel", signal([{ id: 1, name: "<i>one</i>" }]));
+      const opts = document.querySelectorAll("#sel option");
+      expect(opts.length).toBe(2);
+      expect(opts[1].textContent).toBe("<i>one</i>");
+    });
+  });
+
+  // ── Trusted Types ─────────────────────────────────────────────────────────
+
+  describe("Trusted Types", () => {
+    class TrustedHTML {
+      constructor(html) {
+        this.html = html;
+      }
+      toString() {
+        return this.html;
+      }
+    }
+
+    it("creates a vaniy policy and assigns TrustedHTML", () => {
+      const createPolicy = vi.fn((name, rules) => ({
+        createHTML: (html) => new TrustedHTML(rules.createHTML(html)),
+      }));
+      vi.stubGlobal("trustedTypes", { createPolicy });
+      configureHTML({ trustedTypes: true });
+
+      const el = document.querySelector("#box");
+      let assigned;
+      Object.defineProperty(el, "innerHTML", {
+        set: (value) => (assigned = value),
+        configurable: true,
+      });
+      setHTML(el, "<b>ok</b>");
+
+      expect(createPolicy).toHaveBeenCalledWith("vaniy", expect.any(Object));
+      expect(assigned).toBeInstanceOf(TrustedHTML);
+      expect(String(assigned)).toBe("<b>ok</b>");
+    });
+
+    it("sanitizes raw strings while the vaniy policy is on", () => {
+      vi.stubGlobal("trustedTypes", {
+        createPolicy: (name, rules) => rules,
+      });
+      configureHTML({ trustedTypes: true });
+      setHTML(document.querySelector("#box"), XSS);
+      expect(document.querySelector("#box").innerHTML).toBe(`<img src="x">`);
+    });
+
+    it("routes html`` template markup through the policy", () => {
+      const createHTML = vi.fn((html) => html);
+      configureHTML({ trustedTypes: { createHTML } });
+
+      // Plain strings are rejected, as under require-trusted-types-for.
+      const el = document.querySelector("#box");
+      const { set } = Object.getOwnPropertyDescriptor(
+        Element.prototype,
+        "innerHTML",
+      );
+      Object.defineProperty(el, "innerHTML", {
+        set(value) {
+          if (typeof value === "string") throw new TypeError("string HTML");
+          set.call(this, value);
+        },
+        configurable: true,
+      });
+
+      const view = (text) => html`<p class="tt">${text}</p>`;
+      render(view("x"), el);
+      const stop = render(view("y"), el);
+      expect(createHTML).toHaveBeenCalledWith(
+        expect.stringContaining('<p class="tt">'),
+      );
+      expect(el.textContent).toBe("y");
+      stop();
+      expect(el.childNodes).toHaveLength(0);
+    });
+
+    it("uses a policy passed in", () => {
+      const createHTML = vi.fn((html) => html.toUpperCase());
+      configureHTML({ trustedTypes: { createHTML } });
+      setHTML(document.querySelector("#box"), "<b>ok</b>");
+      expect(createHTML).toHaveBeenCalledWith("<b>ok</b>");
+      expect(document.querySelector("#box").innerHTML).toBe("<b>OK</b>");
+    });
+  });
+});
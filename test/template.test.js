@@ -1,6 +1,23 @@
 import { describe, it, expect, beforeEach, vi } from "vitest";
-import { html, render } from "../src/template.js";
-import { signal, computed } from "../src/reactive.js";
+import {
+  html,
+  svg,
+  mathml,
+  render,
+  repeat,
+  directive,
+  classMap,
+  styleMap,
+  ref,
+  guard,
+  until,
+  renderToString,
+  hydrate,
+  model,
+  spread,
+  suspense,
+} from "../src/template.js";
+import { signal, computed, inspect } from "../src/reactive.js";
 
 describe("template.js", () => {
   beforeEach(() => {
@@ -143,6 +160,58 @@ describe("template.js", () => {
       render(html`<div class="${false}"></div>`, "#app");
       expect(document.querySelector("div").hasAttribute("class")).toBe(false);
     });
+
+    it("fills every part of a multi-part attribute with its own value", () => {
+      render(html`<div class="a ${"x"} b ${"y"}"></div>`, "#app");
+      expect(document.querySelector("#app > div").className).toBe("a x b y");
+    });
+
+    it("rebuilds the whole attribute when one signal part changes", () => {
+      const size = signal("sm");
+      const tone = signal("red");
+      render(html`<i class="icon-${size} ${tone} x"></i>`, "#app");
+      const el = document.querySelector("i");
+      expect(el.className).toBe("icon-sm red x");
+      tone.val = "blue";
+      expect(el.className).toBe("icon-sm blue x");
+      size.val = "lg";
+      expect(el.className).toBe("icon-lg blue x");
+    });
+
+    it("renders null and false parts of a larger value as empty", () => {
+      const extra = signal(null);
+      render(html`<p title="${"a"}-${extra}"></p>`, "#app");
+      const el = document.querySelector("p");
+      expect(el.getAttribute("title")).toBe("a-");
+      extra.val = "b";
+      expect(el.getAttribute("title")).toBe("a-b");
+    });
+
+    it("keeps adjacent parts and marker-like indices apart", () => {
+      const values = Array.from({ length: 12 }, (_, i) => i);
+      const strings = Object.assign(
+        ["<p title=\""].concat(values.slice(1).map(() => "."), ["\"></p>"]),
+        { raw: [] },
+      );
+      render(html(strings, ...values), "#app");
+      expect(document.querySelector("p").title).toBe(values.join("."));
+    });
+
+    it("works with single-quoted values", () => {
+      render(html`<p title='${"a"} ${"b"}'></p>`, "#app");
+      expect(document.querySelector("p").title).toBe("a b");
+    });
+
+    it("keeps classMap() classes when a sibling part changes", () => {
+      const tone = signal("red");
+      render(
+        html`<li class="${tone} ${classMap({ on: true })}"></li>`,
+        "#app",
+      );
+      const li = document.querySelector("li");
+      tone.val = "blue";
+      expect([...li.classList].sort()).toEqual(["blue", "on"]);
+    });
   });
 
   // ── Boolean attr bindings (?attr="${}") ───────────────────────────────────
@@ -207,6 +276,63 @@ describe("template.js", () => {
       expect(first).toHaveBeenCalledTimes(1); // not called again
       expect(second).toHaveBeenCalledTimes(1);
     });
+
+    it("applies modifiers", () => {
+      const submit = vi.fn();
+      render(
+        html`<form @submit.prevent=${submit}><input @keydown.enter.stop=${submit} /></form>`,
+        "#app",
+      );
+      const event = new Event("submit", { cancelable: true });
+      document.querySelector("form").dispatchEvent(event);
+      expect(event.defaultPrevented).toBe(true);
+
+      const input = document.querySelector("input");
+      input.dispatchEvent(new KeyboardEvent("keydown", { key: "a" }));
+      input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter" }));
+      expect(submit).toHaveBeenCalledTimes(2);
+    });
+
+    it("keeps .once across re-renders with new handlers", () => {
+      const calls = [];
+      const view = (n) => html`<button @click.once=${() => calls.push(n)}></button>`;
+      render(view(1), "#app");
+      document.querySelector("button").click();
+      render(view(2), "#app");
+      document.querySelector("button").click();
+      expect(calls).toEqual([1]);
+    });
+
+    it("accepts listener objects with options", () => {
+      const listener = { handleEvent: vi.fn(), once: true };
+      render(html`<button @click=${listener}></button>`, "#app");
+      const button = document.querySelector("button");
+      button.click();
+      button.click();
+      expect(listener.handleEvent).toHaveBeenCalledTimes(1);
+    });
+
+    it("removes .outside listeners when the template is disposed", () => {
+      const close = vi.fn();
+      const stop = render(html`<div @click.outside=${close}></div>`, "#app");
+      document.body.click();
+      expect(close).toHaveBeenCalledTimes(1);
+      stop();
+      document.body.click();
+      expect(close).toHaveBeenCalledTimes(1);
+    });
+
+    it("takes modifiers in spread() keys", () => {
+      const handler = vi.fn();
+      render(
+        html`<input ...${spread({ "@keydown.enter": handler })} />`,
+        "#app",
+      );
+      const input = document.querySelector("input");
+      input.dispatchEvent(new KeyboardEvent("keydown", { key: "x" }));
+      input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter" }));
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
   });
 
   // ── Signal reactivity ─────────────────────────────────────────────────────
@@ -294,6 +420,1314 @@ describe("template.js", () => {
     });
   });
 
+  // ── repeat ────────────────────────────────────────────────────────────────
+
+  describe("repeat()", () => {
+    const row = (item) => html`<li data-id=${item.id}>${item.label}</li>`;
+    const ids = () =>
+      Array.from(document.querySelectorAll("li")).map((li) => li.dataset.id);
+
+    it("renders one row per item in order", () => {
+      const items = [
+        { id: 1, label: "a" },
+        { id: 2, label: "b" },
+      ];
+      render(html`<ul>${repeat(items, (i) => i.id, row)}</ul>`, "#app");
+      expect(ids()).toEqual(["1", "2"]);
+      expect(document.querySelector("ul").textContent).toBe("ab");
+    });
+
+    it("moves existing rows instead of recreating them", () => {
+      const list = signal([
+        { id: 1, label: "a" },
+        { id: 2, label: "b" },
+        { id: 3, label: "c" },
+      ]);
+      const view = computed(() => repeat(list.val, (i) => i.id, row));
+      render(html`<ul>${view}</ul>`, "#app");
+      const before = Array.from(document.querySelectorAll("li"));
+
+      list.val = [list.val[2], list.val[0], list.val[1]];
+      const after = Array.from(document.querySelectorAll("li"));
+      expect(ids()).toEqual(["3", "1", "2"]);
+      expect(after[0]).toBe(before[2]);
+      expect(after[1]).toBe(before[0]);
+      expect(after[2]).toBe(before[1]);
+    });
+
+    it("keeps input state and focus in rows that are not moved", () => {
+      const list = signal([1, 2, 3]);
+      const view = computed(() =>
+        repeat(
+          list.val,
+          (n) => n,
+          (n) => html`<input id=${"i" + n} />`,
+        ),
+      );
+      render(html`<div>${view}</div>`, "#app");
+      const input = document.querySelector("#i1");
+      input.value = "typed";
+      input.focus();
+
+      list.val = [3, 1, 2];
+      expect(document.querySelector("#i1")).toBe(input);
+      expect(input.value).toBe("typed");
+      expect(document.activeElement).toBe(input);
+    });
+
+    it("creates only new rows and removes deleted ones", () => {
+      const list = signal([
+        { id: 1, label: "a" },
+        { id: 2, label: "b" },
+      ]);
+      const view = computed(() => repeat(list.val, (i) => i.id, row));
+      render(html`<ul>${view}</ul>`, "#app");
+      const first = document.querySelector('[data-id="1"]');
+
+      list.val = [list.val[0], { id: 3, label: "c" }];
+      expect(ids()).toEqual(["1", "3"]);
+      expect(document.querySelector('[data-id="1"]')).toBe(first);
+      expect(document.querySelector('[data-id="2"]')).toBeNull();
+    });
+
+    it("updates reused rows in place when the item changes", () => {
+      const list = signal([{ id: 1, label: "a" }]);
+      const view = computed(() => repeat(list.val, (i) => i.id, row));
+      render(html`<ul>${view}</ul>`, "#app");
+      const li = document.querySelector("li");
+
+      list.val = [{ id: 1, label: "changed" }];
+      expect(document.querySelector("li")).toBe(li);
+      expect(li.textContent).toBe("changed");
+    });
+
+    it("disposes subscriptions of removed rows", () => {
+      const label = signal("x");
+      const list = signal([1, 2]);
+      const view = computed(() =>
+        repeat(list.val, (n) => n, () => html`<li>${label}</li>`),
+      );
+      render(html`<ul>${view}</ul>`, "#app");
+      const removed = document.querySelectorAll("li")[1];
+
+      expect(inspect(label).subscribers).toHaveLength(2);
+
+      list.val = [1];
+      expect(inspect(label).subscribers).toHaveLength(1);
+      label.val = "y";
+      expect(document.querySelector("li").textContent).toBe("y");
+      expect(removed.textContent).toBe("x");
+    });
+
+    it("clears the list when given an empty array", () => {
+      const list = signal([1, 2]);
+      const view = computed(() =>
+        repeat(list.val, (n) => n, (n) => html`<li>${n}</li>`),
+      );
+      render(html`<ul>${view}</ul>`, "#app");
+      list.val = [];
+      expect(document.querySelectorAll("li").length).toBe(0);
+      list.val = [4];
+      expect(document.querySelector("li").textContent).toBe("4");
+    });
+
+    it("throws on duplicate keys", () => {
+      expect(() =>
+        render(
+          html`<ul>${repeat([1, 1], (n) => n, (n) => html`<li>${n}</li>`)}</ul>`,
+          "#app",
+        ),
+      ).toThrow(/duplicate key/);
+    });
+
+    it("stopping the render disposes row subscriptions", () => {
+      const label = signal("x");
+      const stop = render(
+        html`<ul>${repeat([1], (n) => n, () => html`<li>${label}</li>`)}</ul>`,
+        "#app",
+      );
+      expect(inspect(label).subscribers).toHaveLength(1);
+      stop();
+      expect(inspect(label).subscribers).toHaveLength(0);
+    });
+  });
+
+  // ── Re-render ─────────────────────────────────────────────────────────────
+
+  describe("re-render", () => {
+    const view = (name, onClick) =>
+      html`<div class=${name}><input /><button @click=${onClick}>${name}</button></div>`;
+
+    it("reuses the DOM when the same template renders again", () => {
+      render(view("a", () => {}), "#app");
+      const input = document.querySelector("input");
+      input.value = "typed";
+      input.focus();
+
+      render(view("b", () => {}), "#app");
+      expect(document.querySelector("input")).toBe(input);
+      expect(input.value).toBe("typed");
+      expect(document.activeElement).toBe(input);
+      expect(document.querySelector("#app > div").className).toBe("b");
+      expect(document.querySelector("button").textContent).toBe("b");
+    });
+
+    it("only commits bindings whose value changed", () => {
+      const onClick = vi.fn();
+      render(view("a", onClick), "#app");
+      const button = document.querySelector("button");
+      const add = vi.spyOn(button, "addEventListener");
+      const div = document.querySelector("#app > div");
+      const setAttr = vi.spyOn(div, "setAttribute");
+
+      render(view("a", onClick), "#app");
+      expect(add).not.toHaveBeenCalled();
+      expect(setAttr).not.toHaveBeenCalled();
+      button.click();
+      expect(onClick).toHaveBeenCalledTimes(1);
+    });
+
+    it("commits arrays and objects again after in-place edits", () => {
+      const items = ["a"];
+      const data = { title: "one" };
+      const list = (value) => html`<p .data=${value}>${items}</p>`;
+      render(list(data), "#app");
+      const p = document.querySelector("p");
+      p.data = null;
+
+      items.push("b");
+      render(list(data), "#app");
+      expect(p.textContent).toBe("ab");
+      expect(p.data).toBe(data);
+    });
+
+    it("returns the same stop function for in-place updates", () => {
+      const stop = render(view("a"), "#app");
+      expect(render(view("b"), "#app")).toBe(stop);
+      stop();
+      expect(document.querySelector("#app").innerHTML).toBe("");
+    });
+
+    it("replaces the content when a different template renders", () => {
+      const s = signal("x");
+      render(html`<p>${s}</p>`, "#app");
+      const p = document.querySelector("p");
+      render(html`<section>other</section>`, "#app");
+      expect(document.querySelector("p")).toBeNull();
+      expect(document.querySelector("section").textContent).toBe("other");
+      expect(inspect(s).subscribers).toHaveLength(0);
+      expect(p.isConnected).toBe(false);
+    });
+
+    it("a replaced render's stop does not clear the new content", () => {
+      const stopOld = render(html`<p>old</p>`, "#app");
+      render(html`<section>new</section>`, "#app");
+      stopOld();
+      expect(document.querySelector("section").textContent).toBe("new");
+    });
+
+    it("rebuilds when the container was rewritten externally", () => {
+      render(view("a"), "#app");
+      document.querySelector("#app").innerHTML = "<span>manual</span>";
+      render(view("b"), "#app");
+      expect(document.querySelector("span")).toBeNull();
+      expect(document.querySelector("button").textContent).toBe("b");
+    });
+
+    it("swapping signals unsubscribes from the previous one", () => {
+      const a = signal("A");
+      const b = signal("B");
+      const tpl = (s) => html`<p>${s}</p>`;
+      render(tpl(a), "#app");
+      render(tpl(b), "#app");
+      expect(inspect(a).subscribers).toHaveLength(0);
+      a.val = "AA";
+      expect(document.querySelector("p").textContent).toBe("B");
+      b.val = "BB";
+      expect(document.querySelector("p").textContent).toBe("BB");
+    });
+  });
+
+  // ── Directives ────────────────────────────────────────────────────────────
+
+  describe("directive()", () => {
+    it("requires an update hook", () => {
+      expect(() => directive({})).toThrow(TypeError);
+    });
+
+    it("runs connect once, update on every commit and disconnect on swap", () => {
+      const calls = [];
+      const probe = directive({
+        connect: (part) => calls.push(["connect", part.type]),
+        update: (part, v) => {
+          calls.push(["update", v]);
+          part.setValue(`v${v}`);
+        },
+        disconnect: () => calls.push(["disconnect"]),
+      });
+      const tpl = (v) => html`<p>${v}</p>`;
+
+      render(tpl(probe(1)), "#app");
+      render(tpl(probe(2)), "#app");
+      expect(document.querySelector("p").textContent).toBe("v2");
+      render(tpl("plain"), "#app");
+      expect(document.querySelector("p").textContent).toBe("plain");
+      expect(calls).toEqual([
+        ["connect", "node"],
+        ["update", 1],
+        ["update", 2],
+        ["disconnect"],
+      ]);
+    });
+
+    it("disconnects when the render is stopped", () => {
+      const disconnect = vi.fn();
+      const d = directive({ update() {}, disconnect });
+      const stop = render(html`<p>${d()}</p>`, "#app");
+      stop();
+      expect(disconnect).toHaveBeenCalledTimes(1);
+    });
+
+    it("exposes the bound element and keeps per-part state", () => {
+      const seen = [];
+      const count = directive({
+        update(part) {
+          part.state.n = (part.state.n || 0) + 1;
+          seen.push([part.element.tagName, part.name, part.state.n]);
+        },
+      });
+      const tpl = () => html`<a title=${count()}></a><b ${count()}></b>`;
+      render(tpl(), "#app");
+      render(tpl(), "#app");
+      expect(seen).toEqual([
+        ["A", "title", 1],
+        ["B", undefined, 1],
+        ["A", "title", 2],
+        ["B", undefined, 2],
+      ]);
+    });
+  });
+
+  describe("classMap()", () => {
+    it("toggles classes and keeps static ones", () => {
+      const tpl = (on) =>
+        html`<li class="item ${classMap({ done: on, open: !on })}"></li>`;
+      render(tpl(true), "#app");
+      const li = document.querySelector("li");
+      expect([...li.classList]).toEqual(["item", "done"]);
+      render(tpl(false), "#app");
+      expect([...li.classList]).toEqual(["item", "open"]);
+    });
+
+    it("follows a signal", () => {
+      const active = signal(false);
+      const cls = computed(() => classMap({ active: active.val }));
+      render(html`<p class=${cls}></p>`, "#app");
+      const p = document.querySelector("p");
+      expect(p.classList.contains("active")).toBe(false);
+      active.val = true;
+      expect(p.classList.contains("active")).toBe(true);
+    });
+
+    it("throws outside the class attribute", () => {
+      expect(() =>
+        render(html`<p title=${classMap({ a: true })}></p>`, "#app"),
+      ).toThrow(/class attribute/);
+    });
+  });
+
+  describe("styleMap()", () => {
+    it("sets camelCase, kebab-case and custom properties", () => {
+      render(
+        html`<div
+          style=${styleMap({
+            backgroundColor: "red",
+            "margin-top": "2px",
+            "--gap": "4px",
+          })}
+        ></div>`,
+        "#app",
+      );
+      const { style } = document.querySelector("#app > div");
+      expect(style.backgroundColor).toBe("red");
+      expect(style.marginTop).toBe("2px");
+      expect(style.getPropertyValue("--gap")).toBe("4px");
+    });
+
+    it("removes properties that are dropped or nulled", () => {
+      const tpl = (styles) => html`<div style=${styleMap(styles)}></div>`;
+      render(tpl({ color: "red", width: "1px" }), "#app");
+      render(tpl({ color: null }), "#app");
+      const { style } = document.querySelector("#app > div");
+      expect(style.color).toBe("");
+      expect(style.width).toBe("");
+    });
+  });
+
+  describe("ref()", () => {
+    it("passes the element to a callback and null on removal", () => {
+      const cb = vi.fn();
+      const stop = render(html`<input ${ref(cb)} />`, "#app");
+      expect(cb).toHaveBeenLastCalledWith(document.querySelector("input"));
+      stop();
+      expect(cb).toHaveBeenLastCalledWith(null);
+    });
+
+    it("writes the element into a signal", () => {
+      const el = signal(null);
+      render(html`<button ${ref(el)}>ok</button>`, "#app");
+      expect(el.val).toBe(document.querySelector("button"));
+    });
+
+    it("works next to quoted attributes", () => {
+      const el = signal(null);
+      render(html`<input type="text" ${ref(el)} value="x" />`, "#app");
+      expect(el.val.value).toBe("x");
+      expect(el.val.getAttributeNames()).toEqual(["type", "value"]);
+    });
+  });
+
+  describe("guard()", () => {
+    it("only re-runs when a dependency changes", () => {
+      const fn = vi.fn((n) => html`<b>${n}</b>`);
+      const tpl = (n, extra) =>
+        html`<p>${guard([n], () => fn(n))}${extra}</p>`;
+      render(tpl(1, "a"), "#app");
+      render(tpl(1, "b"), "#app");
+      expect(fn).toHaveBeenCalledTimes(1);
+      render(tpl(2, "b"), "#app");
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(document.querySelector("b").textContent).toBe("2");
+    });
+  });
+
+  describe("until()", () => {
+    it("shows the placeholder until the promise resolves", async () => {
+      let resolve;
+      const p = new Promise((r) => (resolve = r));
+      render(html`<p>${until(p, "loading")}</p>`, "#app");
+      expect(document.querySelector("p").textContent).toBe("loading");
+      resolve(html`<b>done</b>`);
+      await p;
+      await Promise.resolve();
+      expect(document.querySelector("b").textContent).toBe("done");
+    });
+
+    it("keeps the placeholder when the promise rejects", async () => {
+      const p = Promise.reject(new Error("boom"));
+      render(html`<p>${until(p, "loading")}</p>`, "#app");
+      await p.catch(() => {});
+      await Promise.resolve();
+      expect(document.querySelector("p").textContent).toBe("loading");
+    });
+
+    it("shows the error value when the promise rejects", async () => {
+      const p = Promise.reject(new Error("boom"));
+      render(
+        html`<p>${until(p, "loading", (e) => html`<em>${e.message}</em>`)}</p>`,
+        "#app",
+      );
+      await p.catch(() => {});
+      await Promise.resolve();
+      expect(document.querySelector("em").textContent).toBe("boom");
+    });
+
+    it("ignores a promise that was superseded", async () => {
+      let resolveOld;
+      const old = new Promise((r) => (resolveOld = r));
+      const fresh = Promise.resolve("fresh");
+      const tpl = (p) => html`<p>${until(p, "…")}</p>`;
+      render(tpl(old), "#app");
+      render(tpl(fresh), "#app");
+      await fresh;
+      await Promise.resolve();
+      resolveOld("old");
+      await old;
+      await Promise.resolve();
+      expect(document.querySelector("p").textContent).toBe("fresh");
+    });
+  });
+
+  // ── Server rendering ──────────────────────────────────────────────────────
+
+  describe("renderToString()", () => {
+    const strip = (markup) => markup.replace(/<!--[[\]]-->/g, "");
+
+    it("runs without a DOM", () => {
+      vi.stubGlobal("document", undefined);
+      vi.stubGlobal("Node", undefined);
+      try {
+        const out = renderToString(html`<p class=${"x"}>${"hi"}</p>`);
+        expect(strip(out)).toBe('<p class="x">hi</p>');
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+
+    it("escapes text and attribute values", () => {
+      const out = renderToString(
+        html`<a title=${'"><script>'}>${"<b>&</b>"}</a>`,
+      );
+      expect(strip(out)).toBe(
+        '<a title="&quot;&gt;&lt;script&gt;">&lt;b&gt;&amp;&lt;/b&gt;</a>',
+      );
+    });
+
+    it("renders signals and computeds as their current value", () => {
+      const n = signal(2);
+      const double = computed(() => n.val * 2);
+      const out = renderToString(html`<p data-n=${n}>${double}</p>`);
+      expect(strip(out)).toBe('<p data-n="2">4</p>');
+    });
+
+    it("renders nested templates, arrays and keyed lists", () => {
+      const items = [1, 2];
+      const out = renderToString(html`<ul>
+        ${html`<li>head</li>`}${items.map((i) => html`<li>${i}</li>`)}${repeat(
+          items,
+          (i) => i,
+          (i) => html`<li>k${i}</li>`,
+        )}
+      </ul>`);
+      expect(strip(out).replace(/\s+/g, "")).toBe(
+        "<ul><li>head</li><li>1</li><li>2</li><li>k1</li><li>k2</li></ul>",
+      );
+    });
+
+    it("drops events and props, and handles boolean and removed attributes", () => {
+      const out = renderToString(
+        html`<input ?disabled=${true} ?hidden=${false} title=${null} .value=${"v"} @input=${() => {}} />`,
+      );
+      expect(strip(out).replace(/\s+/g, " ")).toBe("<input disabled />");
+    });
+
+    it("renders each part of a multi-part attribute", () => {
+      const out = renderToString(
+        html`<p class="a ${"x"} b ${null}" title=${false}></p>`,
+      );
+      expect(strip(out)).toBe('<p class="a x b " ></p>');
+    });
+
+    it("fills single-quoted attributes without leaking markers", () => {
+      const out = renderToString(
+        html`<p title='${"x"}' class='a ${"b"} ${`it's`}' lang='${null}'></p>`,
+      );
+      expect(strip(out)).toBe(`<p title='x' class='a b it&#39;s' ></p>`);
+      expect(out).not.toContain("__tpl_");
+    });
+
+    it("fills unquoted attributes with surrounding text", () => {
+      const out = renderToString(
+        html`<div class=a${"b c"} id=x${1}y${2} lang=${null}></div>`,
+      );
+      expect(strip(out)).toBe('<div class="ab c" id="x1y2" ></div>');
+      expect(out).not.toContain("__tpl_");
+    });
+
+    it("serializes built-in directives", () => {
+      const out = renderToString(
+        html`<p class="a ${classMap({ b: true, c: false })}" style=${styleMap({ marginTop: "1px" })}>${until(new Promise(() => {}), "…")}</p>`,
+      );
+      expect(strip(out)).toBe(
+        '<p class="a b" style="margin-top: 1px">…</p>',
+      );
+    });
+  });
+
+  describe("hydrate()", () => {
+    const serve = (tpl) => {
+      document.querySelector("#app").innerHTML = renderToString(tpl);
+    };
+
+    it("rebuilds multi-part attributes after hydrating", () => {
+      const tone = signal("red");
+      const tpl = html`<p class="a ${"x"} ${tone}"></p>`;
+      serve(tpl);
+      const p = document.querySelector("p");
+      hydrate(tpl, "#app");
+      tone.val = "blue";
+      expect(document.querySelector("p")).toBe(p);
+      expect(p.className).toBe("a x blue");
+    });
+
+    it("reuses the server nodes", () => {
+      const tpl = html`<div><p>${"hi"}</p><input /></div>`;
+      serve(tpl);
+      const p = document.querySelector("p");
+      const input = document.querySelector("input");
+      hydrate(tpl, "#app");
+      expect(document.querySelector("p")).toBe(p);
+      expect(document.querySelector("input")).toBe(input);
+      expect(p.textContent).toBe("hi");
+    });
+
+    it("attaches event listeners and properties", () => {
+      const onClick = vi.fn();
+      const tpl = html`<button @click=${onClick} .title=${"t"}>go</button>`;
+      serve(tpl);
+      const button = document.querySelector("button");
+      hydrate(tpl, "#app");
+      button.click();
+      expect(onClick).toHaveBeenCalledTimes(1);
+      expect(button.title).toBe("t");
+    });
+
+    it("binds signals to the existing nodes", () => {
+      const count = signal(1);
+      const cls = signal("a");
+      const tpl = html`<p class=${cls}>n=${count}</p>`;
+      serve(tpl);
+      const p = document.querySelector("p");
+      hydrate(tpl, "#app");
+      count.val = 2;
+      cls.val = "b";
+      expect(document.querySelector("p")).toBe(p);
+      expect(p.textContent).toBe("n=2");
+      expect(p.className).toBe("b");
+    });
+
+    it("hydrates nested templates and keyed lists", () => {
+      const list = signal([
+        { id: 1, label: "a" },
+        { id: 2, label: "b" },
+      ]);
+      const view = computed(() =>
+        repeat(
+          list.val,
+          (i) => i.id,
+          (i) => html`<li>${i.label}</li>`,
+        ),
+      );
+      const tpl = html`<section>${html`<h1>${"title"}</h1>`}<ul>${view}</ul></section>`;
+      serve(tpl);
+      const h1 = document.querySelector("h1");
+      const [first, second] = document.querySelectorAll("li");
+      hydrate(tpl, "#app");
+
+      list.val = [list.val[1], list.val[0]];
+      expect(document.querySelector("h1")).toBe(h1);
+      expect(Array.from(document.querySelectorAll("li"))).toEqual([
+        second,
+        first,
+      ]);
+    });
+
+    it("later render() calls update the hydrated DOM in place", () => {
+      const tpl = (name) => html`<p>Hello ${name}</p>`;
+      serve(tpl("server"));
+      const p = document.querySelector("p");
+      hydrate(tpl("server"), "#app");
+      render(tpl("client"), "#app");
+      expect(document.querySelector("p")).toBe(p);
+      expect(p.textContent).toBe("Hello client");
+    });
+
+    it("corrects text that changed since the server render", () => {
+      serve(html`<p>${"old"}</p>`);
+      hydrate(html`<p>${"new"}</p>`, "#app");
+      expect(document.querySelector("p").textContent).toBe("new");
+    });
+
+    it("throws when the markup does not match the template", () => {
+      document.querySelector("#app").innerHTML = "<span>other</span>";
+      expect(() => hydrate(html`<p>${"x"}</p>`, "#app")).toThrow(
+        /does not match/,
+      );
+    });
+
+    it("returns a stop function that disposes bindings", () => {
+      const s = signal("x");
+      const tpl = html`<p>${s}</p>`;
+      serve(tpl);
+      const stop = hydrate(tpl, "#app");
+      stop();
+      expect(inspect(s).subscribers).toHaveLength(0);
+      expect(document.querySelector("#app").innerHTML).toBe("");
+    });
+  });
+
+  // ── Function thunks ───────────────────────────────────────────────────────
+
+  describe("function thunks", () => {
+    it("render and track a derived value in node position", () => {
+      const a = signal(1);
+      const b = signal(2);
+      render(html`<p>${() => a.val + b.val}</p>`, "#app");
+      const p = document.querySelector("p");
+      expect(p.textContent).toBe("3");
+      a.val = 10;
+      expect(p.textContent).toBe("12");
+      b.val = 0;
+      expect(p.textContent).toBe("10");
+    });
+
+    it("follow nested signal reads", () => {
+      const user = signal({ name: "Ann" });
+      render(html`<p>${() => user.val.name}</p>`, "#app");
+      user.val = { name: "Bob" };
+      expect(document.querySelector("p").textContent).toBe("Bob");
+    });
+
+    it("work in attribute and boolean positions", () => {
+      const n = signal(1);
+      render(
+        html`<button class=${() => `n${n.val}`} ?disabled=${() => n.val > 1}></button>`,
+        "#app",
+      );
+      const button = document.querySelector("button");
+      expect(button.className).toBe("n1");
+      expect(button.disabled).toBe(false);
+      n.val = 2;
+      expect(button.className).toBe("n2");
+      expect(button.disabled).toBe(true);
+    });
+
+    it("can return templates, which are updated in place", () => {
+      const mode = signal("a");
+      const label = signal("x");
+      render(
+        html`<div>${() => html`<b class=${mode.val}>${label}</b>`}</div>`,
+        "#app",
+      );
+      const b = document.querySelector("b");
+      mode.val = "c";
+      expect(document.querySelector("b")).toBe(b);
+      expect(b.className).toBe("c");
+      // The nested signal binding survives the thunk re-running.
+      label.val = "y";
+      expect(b.textContent).toBe("y");
+    });
+
+    it("leave event handlers and properties alone", () => {
+      const onClick = vi.fn();
+      const fn = () => "value";
+      render(html`<button @click=${onClick} .fn=${fn}>b</button>`, "#app");
+      const button = document.querySelector("button");
+      button.click();
+      expect(onClick).toHaveBeenCalledTimes(1);
+      expect(button.fn).toBe(fn);
+    });
+
+    it("are disposed when the render is stopped", () => {
+      const s = signal(1);
+      const spy = vi.fn(() => s.val);
+      const stop = render(html`<p>${spy}</p>`, "#app");
+      stop();
+      spy.mockClear();
+      s.val = 2;
+      expect(spy).not.toHaveBeenCalled();
+      expect(inspect(s).subscribers).toHaveLength(0);
+    });
+
+    it("are disposed when a re-render replaces them", () => {
+      const s = signal(1);
+      const first = vi.fn(() => s.val);
+      const tpl = (v) => html`<p>${v}</p>`;
+      render(tpl(first), "#app");
+      render(tpl("static"), "#app");
+      first.mockClear();
+      s.val = 2;
+      expect(first).not.toHaveBeenCalled();
+      expect(document.querySelector("p").textContent).toBe("static");
+    });
+
+    it("render their current result on the server", () => {
+      const n = signal(2);
+      const out = renderToString(
+        html`<p title=${() => `t${n.val}`}>${() => n.val * 2}</p>`,
+      );
+      expect(out.replace(/<!--[[\]]-->/g, "")).toBe('<p title="t2">4</p>');
+    });
+
+    it("hydrate without re-creating server content", () => {
+      const n = signal(1);
+      const tpl = html`<p>${() => html`<b>${n.val}</b>`}</p>`;
+      document.querySelector("#app").innerHTML = renderToString(tpl);
+      const b = document.querySelector("b");
+      hydrate(tpl, "#app");
+      expect(document.querySelector("b")).toBe(b);
+      n.val = 2;
+      expect(b.textContent).toBe("2");
+    });
+  });
+
+  // ── model() ───────────────────────────────────────────────────────────────
+
+  describe("model()", () => {
+    const fire = (el, type) => el.dispatchEvent(new Event(type));
+
+    it("syncs a text input both ways on input", () => {
+      const name = signal("Ann");
+      render(html`<input ${model(name)} />`, "#app");
+      const input = document.querySelector("input");
+      expect(input.value).toBe("Ann");
+
+      input.value = "Bob";
+      fire(input, "input");
+      expect(name.val).toBe("Bob");
+
+      name.val = "Cy";
+      expect(input.value).toBe("Cy");
+    });
+
+    it("updates on change only when lazy", () => {
+      const name = signal("");
+      render(html`<textarea ${model(name, { lazy: true })}></textarea>`, "#app");
+      const area = document.querySelector("textarea");
+      area.value = "draft";
+      fire(area, "input");
+      expect(name.val).toBe("");
+      fire(area, "change");
+      expect(name.val).toBe("draft");
+    });
+
+    it("coerces number and range inputs to numbers", () => {
+      const qty = signal(1);
+      const vol = signal(5);
+      render(
+        html`<input type="number" ${model(qty)} /><input type="range" ${model(vol)} />`,
+        "#app",
+      );
+      const [number, range] = document.querySelectorAll("input");
+      number.value = "3";
+      fire(number, "input");
+      range.value = "7";
+      fire(range, "input");
+      expect(qty.val).toBe(3);
+      expect(vol.val).toBe(7);
+
+      number.value = "";
+      fire(number, "input");
+      expect(qty.val).toBeNull();
+    });
+
+    it("keeps text inputs as strings even for numeric signals", () => {
+      const code = signal(42);
+      render(html`<input ${model(code)} /><textarea ${model(code)}></textarea>`, "#app");
+      const input = document.querySelector("input");
+      expect(input.value).toBe("42");
+      input.value = "abc";
+      fire(input, "input");
+      expect(code.val).toBe("abc");
+      expect(document.querySelector("textarea").value).toBe("abc");
+    });
+
+    it("binds a checkbox to a boolean", () => {
+      const done = signal(false);
+      render(html`<input type="checkbox" ${model(done)} />`, "#app");
+      const box = document.querySelector("input");
+      box.click();
+      expect(done.val).toBe(true);
+      done.val = false;
+      expect(box.checked).toBe(false);
+    });
+
+    it("binds a checkbox group to an array", () => {
+      const tags = signal(["a"]);
+      render(
+        html`<input type="checkbox" value="a" ${model(tags)} /><input type="checkbox" value="b" ${model(tags)} />`,
+        "#app",
+      );
+      const [a, b] = document.querySelectorAll("input");
+      expect(a.checked).toBe(true);
+      expect(b.checked).toBe(false);
+
+      b.click();
+      expect(tags.val).toEqual(["a", "b"]);
+      a.click();
+      expect(tags.val).toEqual(["b"]);
+
+      tags.val = ["a"];
+      expect(a.checked).toBe(true);
+      expect(b.checked).toBe(false);
+    });
+
+    it("binds a radio group and keeps numbers numeric", () => {
+      const size = signal(2);
+      render(
+        html`${[1, 2, 3].map(
+          (n) => html`<input type="radio" name="size" value=${n} ${model(size)} />`,
+        )}`,
+        "#app",
+      );
+      const radios = document.querySelectorAll("input");
+      expect(radios[1].checked).toBe(true);
+      radios[2].click();
+      expect(size.val).toBe(3);
+      size.val = 1;
+      expect(radios[0].checked).toBe(true);
+    });
+
+    it("binds a single select, after its options are rendered", () => {
+      const color = signal("green");
+      const colors = ["red", "green"];
+      render(
+        html`<select ${model(color)}>${colors.map((c) => html`<option value=${c}>${c}</option>`)}</select>`,
+        "#app",
+      );
+      const select = document.querySelector("select");
+      expect(select.value).toBe("green");
+      select.value = "red";
+      fire(select, "change");
+      expect(color.val).toBe("red");
+    });
+
+    it("binds a multiple select to an array", () => {
+      const picked = signal([2]);
+      render(
+        html`<select multiple ${model(picked)}>
+          <option value="1">one</option>
+          <option value="2">two</option>
+          <option value="3">three</option>
+        </select>`,
+        "#app",
+      );
+      const opts = document.querySelectorAll("option");
+      expect(opts[1].selected).toBe(true);
+      opts[0].selected = true;
+      fire(document.querySelector("select"), "change");
+      expect(picked.val).toEqual([1, 2]);
+      picked.val = [3];
+      expect([...opts].map((o) => o.selected)).toEqual([false, false, true]);
+    });
+
+    it("does not rewrite a value the control already shows", () => {
+      const qty = signal(1);
+      render(html`<input type="number" ${model(qty)} />`, "#app");
+      const input = document.querySelector("input");
+      const spy = vi.spyOn(input, "value", "set");
+      input.value = "2";
+      spy.mockClear();
+      fire(input, "input");
+      expect(qty.val).toBe(2);
+      expect(spy).not.toHaveBeenCalled();
+    });
+
+    it("stops syncing when the render is stopped", () => {
+      const name = signal("a");
+      const stop = render(html`<input ${model(name)} />`, "#app");
+      const input = document.querySelector("input");
+      stop();
+      expect(inspect(name).subscribers).toHaveLength(0);
+      input.value = "b";
+      fire(input, "input");
+      expect(name.val).toBe("a");
+    });
+
+    it("rewires when given another signal", () => {
+      const a = signal("a");
+      const b = signal("b");
+      const tpl = (s) => html`<input ${model(s)} />`;
+      render(tpl(a), "#app");
+      render(tpl(b), "#app");
+      const input = document.querySelector("input");
+      expect(input.value).toBe("b");
+      input.value = "x";
+      fire(input, "input");
+      expect(a.val).toBe("a");
+      expect(b.val).toBe("x");
+    });
+
+    it("throws outside a tag", () => {
+      expect(() => render(html`<p>${model(signal(""))}</p>`, "#app")).toThrow(
+        /inside a tag/,
+      );
+    });
+  });
+
+  // ── SVG / MathML ──────────────────────────────────────────────────────────
+
+  describe("svg`` and mathml``", () => {
+    const SVG_NS = "http://www.w3.org/2000/svg";
+
+    it("creates elements in the SVG namespace without an <svg> root", () => {
+      const frag = svg`<circle r="2" /><path d="M0 0" />`;
+      render(html`<svg>${frag}</svg>`, "#app");
+      const circle = document.querySelector("circle");
+      expect(circle.namespaceURI).toBe(SVG_NS);
+      expect(circle instanceof SVGElement).toBe(true);
+      expect(document.querySelector("path").namespaceURI).toBe(SVG_NS);
+    });
+
+    it("html`` content below plain tags stays HTML", () => {
+      render(html`<div>${svg`<rect />`}<p>x</p></div>`, "#app");
+      expect(document.querySelector("p").namespaceURI).toBe(
+        "http://www.w3.org/1999/xhtml",
+      );
+    });
+
+    it("binds attributes, booleans and props on SVG nodes", () => {
+      const r = signal(3);
+      const onClick = vi.fn();
+      render(
+        html`<svg viewBox="0 0 10 10">${svg`<circle r=${r} ?data-on=${true} .id=${"dot"} @click=${onClick} />`}</svg>`,
+        "#app",
+      );
+      const circle = document.querySelector("circle");
+      expect(circle.getAttribute("r")).toBe("3");
+      expect(circle.hasAttribute("data-on")).toBe(true);
+      expect(circle.id).toBe("dot");
+      r.val = 4;
+      expect(circle.getAttribute("r")).toBe("4");
+      circle.dispatchEvent(new Event("click"));
+      expect(onClick).toHaveBeenCalled();
+    });
+
+    it("keeps camelCase SVG attribute names", () => {
+      render(html`<svg viewBox=${"0 0 4 4"}></svg>`, "#app");
+      expect(document.querySelector("svg").getAttribute("viewBox")).toBe(
+        "0 0 4 4",
+      );
+    });
+
+    it("renders keyed SVG lists", () => {
+      const points = signal([1, 2]);
+      const dots = computed(() =>
+        repeat(points.val, (p) => p, (p) => svg`<circle cx=${p} />`),
+      );
+      render(html`<svg>${dots}</svg>`, "#app");
+      const circles = document.querySelectorAll("circle");
+      expect(circles.length).toBe(2);
+      expect(circles[0].namespaceURI).toBe(SVG_NS);
+    });
+
+    it("creates MathML elements", () => {
+      render(html`<math>${mathml`<mi>${"x"}</mi>`}</math>`, "#app");
+      expect(document.querySelector("mi").namespaceURI).toBe(
+        "http://www.w3.org/1998/Math/MathML",
+      );
+    });
+
+    it("hydrates SVG markup", () => {
+      const r = signal(1);
+      const tpl = html`<svg>${svg`<circle r=${r} />`}</svg>`;
+      document.querySelector("#app").innerHTML = renderToString(tpl);
+      const circle = document.querySelector("circle");
+      hydrate(tpl, "#app");
+      r.val = 2;
+      expect(document.querySelector("circle")).toBe(circle);
+      expect(circle.getAttribute("r")).toBe("2");
+    });
+  });
+
+  describe("spread()", () => {
+    it("applies attributes, listeners, properties and booleans", () => {
+      const onClick = vi.fn();
+      render(
+        html`<button class="b" ...${spread({
+          id: "save",
+          "@click": onClick,
+          ".title": "Save it",
+          "?disabled": false,
+          hidden: null,
+        })}>Save</button>`,
+        "#app",
+      );
+      const btn = document.querySelector("button");
+      expect(btn.id).toBe("save");
+      expect(btn.className).toBe("b");
+      expect(btn.title).toBe("Save it");
+      expect(btn.hasAttribute("disabled")).toBe(false);
+      expect(btn.hasAttribute("hidden")).toBe(false);
+      btn.click();
+      expect(onClick).toHaveBeenCalledTimes(1);
+    });
+
+    it("updates changed keys and undoes removed ones", () => {
+      const first = vi.fn();
+      const second = vi.fn();
+      const view = (props) => html`<a ...${spread(props)}></a>`;
+      render(view({ href: "/a", "@click": first, "?hidden": true }), "#app");
+      const a = document.querySelector("a");
+      expect(a.hidden).toBe(true);
+
+      render(view({ href: "/b", "@click": second }), "#app");
+      expect(document.querySelector("a")).toBe(a);
+      expect(a.getAttribute("href")).toBe("/b");
+      expect(a.hasAttribute("hidden")).toBe(false);
+      a.click();
+      expect(first).not.toHaveBeenCalled();
+      expect(second).toHaveBeenCalledTimes(1);
+
+      render(view({}), "#app");
+      expect(a.hasAttribute("href")).toBe(false);
+      a.click();
+      expect(second).toHaveBeenCalledTimes(1);
+    });
+
+    it("follows a signal holding the spread", () => {
+      const state = signal("idle");
+      const props = computed(() => spread({ "data-state": state.val }));
+      render(html`<div ...${props}></div>`, "#app");
+      const div = document.querySelector("#app > div");
+      state.val = "busy";
+      expect(div.dataset.state).toBe("busy");
+    });
+
+    it("must sit in a tag", () => {
+      expect(() =>
+        render(html`<div title=${spread({})}></div>`, "#app"),
+      ).toThrow(TypeError);
+    });
+
+    it("serializes attributes and booleans, then hydrates", () => {
+      const onClick = vi.fn();
+      const tpl = html`<button ...${spread({
+        type: "button",
+        "?disabled": true,
+        "@click": onClick,
+        ".value": "x",
+        title: '"q"',
+      })}>Go</button>`;
+      const out = renderToString(tpl);
+      expect(out).toBe(
+        `<button type="button" disabled title="&quot;q&quot;">Go</button>`,
+      );
+      document.querySelector("#app").innerHTML = out;
+      const btn = document.querySelector("button");
+      hydrate(tpl, "#app");
+      expect(document.querySelector("button")).toBe(btn);
+      btn.disabled = false;
+      btn.click();
+      expect(onClick).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  // ── Async values ──────────────────────────────────────────────────────────
+
+  const flush = () => new Promise((r) => setTimeout(r, 0));
+
+  const deferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  };
+
+  describe("promises and async generators", () => {
+    it("renders a promise's value once it resolves", async () => {
+      const d = deferred();
+      render(html`<p>${d.promise}</p>`, "#app");
+      expect(document.querySelector("p").textContent).toBe("");
+      d.resolve(html`<b>done</b>`);
+      await flush();
+      expect(document.querySelector("p b").textContent).toBe("done");
+    });
+
+    it("ignores a promise that was superseded", async () => {
+      const old = deferred();
+      const view = (v) => html`<p>${v}</p>`;
+      render(view(old.promise), "#app");
+      render(view("now"), "#app");
+      old.resolve("old");
+      await flush();
+      expect(document.querySelector("p").textContent).toBe("now");
+    });
+
+    it("renders each value an async generator yields", async () => {
+      const step = deferred();
+      async function* progress() {
+        yield "1/2";
+        await step.promise;
+        yield html`<b>2/2</b>`;
+      }
+      render(html`<p>${progress()}</p>`, "#app");
+      await flush();
+      expect(document.querySelector("p").textContent).toBe("1/2");
+      step.resolve();
+      await flush();
+      expect(document.querySelector("p b").textContent).toBe("2/2");
+    });
+
+    it("returns the generator when the part gets another value", async () => {
+      let finished = false;
+      async function* ticks() {
+        try {
+          for (let i = 0; ; i++) {
+            yield i;
+            await new Promise((r) => setTimeout(r, 0));
+          }
+        } finally {
+          finished = true;
+        }
+      }
+      const stop = render(html`<p>${ticks()}</p>`, "#app");
+      await flush();
+      stop();
+      await flush();
+      await flush();
+      expect(finished).toBe(true);
+    });
+
+    it("renders nothing for a rejected promise outside suspense()", async () => {
+      const failing = Promise.reject(new Error("offline"));
+      const gen = (async function* () {
+        yield "x";
+        throw new Error("broken");
+      })();
+      render(html`<p>${failing}</p><b>${gen}</b>`, "#app");
+      await flush();
+      expect(document.querySelector("p").textContent).toBe("");
+      expect(document.querySelector("b").textContent).toBe("x");
+    });
+
+    it("renders nothing for async values on the server", () => {
+      const out = renderToString(html`<p>${new Promise(() => {})}</p>`);
+      expect(out.replace(/<!--[[\]]-->/g, "")).toBe("<p></p>");
+    });
+  });
+
+  describe("suspense()", () => {
+    const options = {
+      fallback: html`<i>loading</i>`,
+      error: (e) => html`<em>${e.message}</em>`,
+    };
+
+    it("shows the fallback until every nested promise resolved", async () => {
+      const name = deferred();
+      const posts = deferred();
+      render(
+        html`<div>${suspense(
+          options,
+          html`<h1>${name.promise}</h1><ul>${html`<li>${posts.promise}</li>`}</ul>`,
+        )}</div>`,
+        "#app",
+      );
+      const app = document.querySelector("#app");
+      expect(app.querySelector("i").textContent).toBe("loading");
+      expect(app.querySelector("h1")).toBeNull();
+
+      name.resolve("Ada");
+      await flush();
+      expect(app.querySelector("i")).not.toBeNull();
+
+      posts.resolve("First");
+      await flush();
+      expect(app.querySelector("i")).toBeNull();
+      expect(app.querySelector("h1").textContent).toBe("Ada");
+      expect(app.querySelector("li").textContent).toBe("First");
+    });
+
+    it("shows content straight away when nothing is pending", () => {
+      render(html`${suspense(options, html`<p>sync</p>`)}`, "#app");
+      expect(document.querySelector("p").textContent).toBe("sync");
+      expect(document.querySelector("i")).toBeNull();
+    });
+
+    it("shows the error view when a promise rejects", async () => {
+      const d = deferred();
+      render(html`${suspense(options, html`<p>${d.promise}</p>`)}`, "#app");
+      d.reject(new Error("offline"));
+      await flush();
+      expect(document.querySelector("em").textContent).toBe("offline");
+      expect(document.querySelector("i")).toBeNull();
+      expect(document.querySelector("p")).toBeNull();
+    });
+
+    it("recovers when the failed part gets a new value", async () => {
+      const d = deferred();
+      const view = (v) => html`${suspense(options, html`<p>${v}</p>`)}`;
+      render(view(d.promise), "#app");
+      d.reject(new Error("offline"));
+      await flush();
+      render(view("back"), "#app");
+      expect(document.querySelector("em")).toBeNull();
+      expect(document.querySelector("p").textContent).toBe("back");
+    });
+
+    it("waits again for promises that arrive through signals", async () => {
+      const user = signal("a");
+      const d = deferred();
+      render(
+        html`${suspense(options, html`<p>${computed(() => (user.val === "a" ? "A" : d.promise))}</p>`)}`,
+        "#app",
+      );
+      expect(document.querySelector("p").textContent).toBe("A");
+      user.val = "b";
+      expect(document.querySelector("i")).not.toBeNull();
+      d.resolve("B");
+      await flush();
+      expect(document.querySelector("p").textContent).toBe("B");
+    });
+
+    it("applies signal writes made while the content is off-screen", async () => {
+      const label = signal("old");
+      const d = deferred();
+      render(
+        html`${suspense(options, html`<b>${label}</b><p>${d.promise}</p>`)}`,
+        "#app",
+      );
+      label.val = "new";
+      d.resolve("done");
+      await flush();
+      expect(document.querySelector("b").textContent).toBe("new");
+      expect(document.querySelector("p").textContent).toBe("done");
+    });
+
+    it("waits for an async generator's first value only", async () => {
+      const more = deferred();
+      async function* feed() {
+        yield "first";
+        await more.promise;
+        yield "second";
+      }
+      render(html`${suspense(options, html`<p>${feed()}</p>`)}`, "#app");
+      expect(document.querySelector("i")).not.toBeNull();
+      await flush();
+      expect(document.querySelector("i")).toBeNull();
+      expect(document.querySelector("p").textContent).toBe("first");
+      more.resolve();
+      await flush();
+      expect(document.querySelector("p").textContent).toBe("second");
+    });
+
+    it("lets a nested suspense() handle its own promises", async () => {
+      const inner = deferred();
+      render(
+        html`${suspense(
+          options,
+          html`<p>outer</p>${suspense({ fallback: "inner…" }, html`<b>${inner.promise}</b>`)}`,
+        )}`,
+        "#app",
+      );
+      const app = document.querySelector("#app");
+      expect(app.querySelector("p").textContent).toBe("outer");
+      expect(app.textContent).toContain("inner…");
+      inner.resolve("in");
+      await flush();
+      expect(app.querySelector("b").textContent).toBe("in");
+    });
+
+    it("cancels pending work when disposed", async () => {
+      const d = deferred();
+      const stop = render(
+        html`${suspense(options, html`<p>${d.promise}</p>`)}`,
+        "#app",
+      );
+      stop();
+      d.resolve("late");
+      await flush();
+      expect(document.querySelector("#app").textContent).toBe("");
+    });
+
+    it("renders the fallback on the server when content is async", () => {
+      const clean = (out) => out.replace(/<!--[[\]]-->/g, "");
+      expect(
+        clean(
+          renderToString(
+            html`<div>${suspense(options, html`<p>${Promise.resolve(1)}</p>`)}</div>`,
+          ),
+        ),
+      ).toBe("<div><i>loading</i></div>");
+      expect(
+        clean(renderToString(html`<div>${suspense(options, html`<p>ok</p>`)}</div>`)),
+      ).toBe("<div><p>ok</p></div>");
+    });
+  });
+
   // ── Cleanup ───────────────────────────────────────────────────────────────
 
   describe("cleanup", () => {
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, vi } from "vitest";
-import { tag, createPresets } from "../src/ui.js";
+import { tag, svgTag, createPresets } from "../src/ui.js";
 import { signal } from "../src/reactive.js";
 
 describe("ui.js - tag()", () => {
@@ -44,6 +44,26 @@ describe("ui.js - tag()", () => {
     expect(handler).toHaveBeenCalledTimes(1);
   });
 
+  it("on() takes modifiers and options", () => {
+    const handler = vi.fn();
+    const el = tag("a").on("click.prevent", handler, { once: true }).render();
+    const event = new MouseEvent("click", { cancelable: true });
+    el.elt.dispatchEvent(event);
+    el.elt.click();
+    expect(event.defaultPrevented).toBe(true);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("on() listeners are collected into cleanups", () => {
+    const close = vi.fn();
+    const cleanups = [];
+    tag("div").on("click.outside", close).render(document.body, cleanups);
+    document.body.click();
+    cleanups.forEach((stop) => stop());
+    document.body.click();
+    expect(close).toHaveBeenCalledTimes(1);
+  });
+
   it("child() appends a builder child", () => {
     const parent = tag("div").child(tag("span").text("child")).render();
     expect(parent.elt.querySelector("span")?.textContent).toBe("child");
@@ -251,6 +271,49 @@ describe("ui.js - tag()", () => {
 
       expect(indices).toEqual([0, 1]);
     });
+
+    it("disposes row effects from the previous render", () => {
+      const items = signal(["a", "b"]);
+      const done = signal(false);
+      const el = tag("ul")
+        .bindList(items, (item) => tag("li").text(item).classIf("done", done))
+        .render("#root");
+
+      const stale = el.elt.querySelector("li");
+      items.val = ["c"];
+      done.val = true;
+
+      expect(stale.classList.contains("done")).toBe(false);
+      expect(el.elt.querySelector("li").classList.contains("done")).toBe(true);
+    });
+
+    it("removes row listeners on re-render and dispose", () => {
+      const items = signal(["a", "b"]);
+      const add = vi.spyOn(document, "addEventListener");
+      const remove = vi.spyOn(document, "removeEventListener");
+      const cleanups = [];
+      tag("ul")
+        .bindList(items, (item) => tag("li").text(item).on("click.outside", () => {}))
+        .render("#root", cleanups);
+
+      items.val = ["c"];
+      expect(remove).toHaveBeenCalledTimes(2);
+      cleanups.forEach((stop) => stop());
+      expect(remove).toHaveBeenCalledTimes(3);
+      expect(add).toHaveBeenCalledTimes(3);
+      add.mockRestore();
+      remove.mockRestore();
+    });
+
+    it("does not re-render when a signal read inside itemFn changes", () => {
+      const items = signal(["a"]);
+      const prefix = signal(">");
+      const itemFn = vi.fn((item) => tag("li").text(prefix.val + item));
+      tag("ul").bindList(items, itemFn).render("#root");
+
+      prefix.val = "#";
+      expect(itemFn).toHaveBeenCalledTimes(1);
+    });
   });
 });
 
@@ -449,3 +512,46 @@ describe("ui.js - createPresets()", () => {
     });
   });
 });
+
+describe("ui.js - namespaced tags", () => {
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  it("tag('svg:path') creates an SVG element", () => {
+    const el = tag("svg:path").attr("d", "M0 0").render();
+    expect(el.elt.namespaceURI).toBe(SVG_NS);
+    expect(el.elt.localName).toBe("path");
+    expect(el.elt.getAttribute("d")).toBe("M0 0");
+  });
+
+  it("svgTag() is shorthand for the svg: prefix", () => {
+    const el = svgTag("svg")
+      .attr("viewBox", "0 0 10 10")
+      .child(svgTag("circle").attr("r", "4").css("dot"))
+      .render();
+    expect(el.elt.namespaceURI).toBe(SVG_NS);
+    expect(el.elt.getAttribute("viewBox")).toBe("0 0 10 10");
+    const circle = el.elt.firstChild;
+    expect(circle.namespaceURI).toBe(SVG_NS);
+    expect(circle.getAttribute("class")).toBe("dot");
+  });
+
+  it("tag('math:mi') creates a MathML element", () => {
+    const el = tag("math:mi").text("x").render();
+    expect(el.elt.namespaceURI).toBe("http://www.w3.org/1998/Math/MathML");
+  });
+
+  it("reactive class and prop bindings work on SVG nodes", () => {
+    const on = signal(false);
+    const id = signal("a");
+    const el = svgTag("rect").classIf("on", on).prop("id", id).render();
+    on.val = true;
+    id.val = "b";
+    expect(el.elt.classList.contains("on")).toBe(true);
+    expect(el.elt.id).toBe("b");
+  });
+
+  it("unknown prefixes fall back to HTML elements", () => {
+    const el = tag("x:y").render();
+    expect(el.elt.namespaceURI).toBe("http://www.w3.org/1999/xhtml");
+  });
+});